@@ -2,8 +2,17 @@
 require('dotenv').config();
 
 const { addonBuilder } = require("stremio-addon-sdk");
-const crypto = require("crypto");
 const LRUCache = require("./lruCache");
+const { parseXmltvTime } = require("./epgParser");
+const parserPool = require("./parserPool");
+const { buildCatchupUrl } = require("./catchup");
+const tmdbMatcher = require("./tmdbMatcher");
+const { resolveLanguage, t, LEGACY_CATALOG_LANG } = require("./i18n");
+const SearchIndex = require("./searchIndex");
+const RefreshScheduler = require("./refreshScheduler");
+const dataStore = require("./dataStore");
+const diskStore = require("./diskStore");
+const { keyDigest } = require("./cryptoConfig");
 const fetch = require('node-fetch');
 
 // --- INITIALISATION REDIS ---
@@ -31,20 +40,61 @@ const ADDON_ID = "keskiskace.xtream.addon.v1.0.0";
 const CACHE_ENABLED = (process.env.CACHE_ENABLED || 'true').toLowerCase() !== 'false';
 const CACHE_TTL_MS = parseInt(process.env.CACHE_TTL_MS || (6 * 3600 * 1000).toString(), 10);
 const MAX_CACHE_ENTRIES = parseInt(process.env.MAX_CACHE_ENTRIES || '500', 10);
+const CATALOG_PAGE_SIZE = parseInt(process.env.CATALOG_PAGE_SIZE || '100', 10);
+const CATALOG_SNAPSHOT_TTL_MS = parseInt(process.env.CATALOG_SNAPSHOT_TTL_MS || (15 * 60 * 1000).toString(), 10);
+const TMDB_MATCH_ENABLED = (process.env.TMDB_MATCH_ENABLED || 'true').toLowerCase() !== 'false';
+// Rafraîchissement en arrière-plan (intervalle par défaut, surchargeable par token via config.refreshInterval en minutes)
+const REFRESH_INTERVAL_MS = parseInt(process.env.REFRESH_INTERVAL_MS || (2 * 3600 * 1000).toString(), 10);
+const MIN_REFRESH_INTERVAL_MS = 15 * 60 * 1000;
 
-const dataCache = new LRUCache({ max: MAX_CACHE_ENTRIES, ttl: CACHE_TTL_MS });
+// Snapshots sur disque (optionnel) : redémarrage sans Redis sans retélécharger les panels
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || '';
+// Budget mémoire du cache local (catalogues complets + fiches), en Mo
+const DATA_CACHE_MAX_BYTES = parseInt(process.env.DATA_CACHE_MAX_MB || '512', 10) * 1024 * 1024;
 
-// Helpers Redis
-async function redisGetJSON(key) {
+const dataCache = new LRUCache({ max: MAX_CACHE_ENTRIES, ttl: CACHE_TTL_MS, maxBytes: DATA_CACHE_MAX_BYTES });
+const refreshScheduler = new RefreshScheduler({
+    // Sans requête pendant cette durée, un token n'est plus rafraîchi (par défaut la durée de vie de l'interface)
+    idleMs: parseInt(process.env.REFRESH_IDLE_MS || CACHE_TTL_MS.toString(), 10),
+    concurrency: parseInt(process.env.REFRESH_CONCURRENCY || '1', 10)
+});
+
+// Champs remplis par les providers (fetchData), remplacés d'un bloc en fin de chargement
+const PROVIDER_DATA_FIELDS = ['channels', 'movies', 'series', 'epgData', 'directSeriesEpisodeIndex'];
+
+// --- ORDRES DE TRI (catalogues films / séries) ---
+const titleCollator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+// Nom sans préfixe fournisseur (|FR|, [EN], FR: ...) pour le tri alphabétique
+const sortName = (item) => String(item.name || '').replace(/^\s*(?:[|┃[(]\s*[A-Z0-9-]{2,6}\s*[|┃\])]|[A-Z]{2,3}\s*[:|-])\s*/i, '');
+const byName = (a, b) => titleCollator.compare(sortName(a), sortName(b)) || String(a.id).localeCompare(String(b.id));
+// Les items sans valeur passent après ceux qui en ont, quel que soit le sens
+const desc = (field) => (a, b) => ((b[field] != null) - (a[field] != null)) || ((b[field] || 0) - (a[field] || 0));
+const SORT_ORDERS = {
+    recent: { nameKey: 'sortRecent', compare: (a, b) => desc('added')(a, b) || desc('year')(a, b) || byName(a, b) },
+    rating: { nameKey: 'sortRating', compare: (a, b) => desc('rating')(a, b) || desc('year')(a, b) || byName(a, b) },
+    az: { nameKey: 'sortAz', compare: byName },
+    year: { nameKey: 'sortYear', compare: (a, b) => desc('year')(a, b) || byName(a, b) }
+};
+
+// --- CATALOGUES "EN DIRECT" (catégories XMLTV du programme en cours) ---
+const ON_NOW_CATALOGS = [
+    { key: 'sport', nameKey: 'onNowSport', match: /sport|football|soccer|rugby|tennis|basket|cyclisme|cycling|golf|box|ufc|mma|nba|nfl|nhl|motor|formula|f1\b|handball|ligue|deportes/i },
+    { key: 'movies', nameKey: 'onNowMovies', match: /\b(film|movie|cin[ée]ma|pel[ií]cula|spielfilm|t[ée]l[ée]film)s?\b/i },
+    { key: 'news', nameKey: 'onNowNews', match: /news|info|actualit|journal|noticias|nachrichten|m[ée]t[ée]o|weather/i },
+    { key: 'kids', nameKey: 'onNowKids', match: /kids|children|enfant|jeunesse|dessin anim|cartoon|animation|infantil/i }
+];
+
+// Helpers Redis (valeurs JSON compressées)
+async function redisGetPacked(key) {
     if (!redisClient) return null;
     try {
-        const raw = await redisClient.get(key);
-        return raw ? JSON.parse(raw) : null;
+        const raw = await redisClient.getBuffer(key);
+        return raw ? await dataStore.unpack(raw) : null;
     } catch { return null; }
 }
-async function redisSetJSON(key, value, ttl) {
+async function redisSetPacked(key, value, ttl) {
     if (!redisClient) return;
-    try { await redisClient.set(key, JSON.stringify(value), 'PX', ttl); } catch { }
+    try { await redisClient.set(key, await dataStore.pack(value), 'PX', ttl); } catch { }
 }
 
 // --- UTILITAIRES ---
@@ -52,14 +102,44 @@ function stableStringify(obj) {
     return JSON.stringify(obj, Object.keys(obj).sort());
 }
 
+// Clé des données d'un tenant : toute option qui change ce que fetchData / parseEPG / le matching TMDB
+// produisent y entre (mot de passe compris), mais seul un condensat opaque apparaît dans les noms de clés.
+// Deux tokens ne partagent des données que s'ils ont exactement les mêmes sources et identifiants.
+const CACHE_KEY_VERSION = 2;
 function createCacheKey(config) {
+    const trim = (v) => (typeof v === 'string' ? v.trim() : v);
+    const tmdbMatch = !!(config.tmdbKey && TMDB_MATCH_ENABLED && config.tmdbMatch !== false);
     const minimal = {
+        v: CACHE_KEY_VERSION,
         provider: config.provider,
-        xtreamUrl: config.xtreamUrl,
-        xtreamUsername: config.xtreamUsername,
-        includeSeries: config.includeSeries !== false 
+        m3uUrl: trim(config.m3uUrl),
+        xtreamUrl: trim(config.xtreamUrl)?.replace(/\/+$/, ''),
+        xtreamUsername: trim(config.xtreamUsername),
+        xtreamPassword: config.xtreamPassword,
+        xtreamUseM3U: !!config.xtreamUseM3U,
+        xtreamOutput: config.xtreamOutput,
+        includeSeries: config.includeSeries !== false,
+        enableEpg: !!config.enableEpg,
+        epgUrl: trim(config.epgUrl),
+        epgOffsetHours: config.epgOffsetHours,
+        epgPastHours: config.epgPastHours,
+        epgFutureHours: config.epgFutureHours,
+        // Le matching TMDB écrit tmdb_id / original_title dans les items (la clé API elle-même n'y entre pas)
+        tmdbMatch,
+        tmdbLanguage: tmdbMatch ? resolveLanguage(config.language, config.region).language : undefined
     };
-    return crypto.createHash('md5').update(stableStringify(minimal)).digest('hex');
+    return keyDigest(stableStringify(minimal));
+}
+
+function resolveTimezone(tz) {
+    if (!tz) return 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: tz });
+        return tz;
+    } catch {
+        console.warn(`[EPG] Unknown timezone "${tz}", using UTC`);
+        return 'UTC';
+    }
 }
 
 // --- CLASSE PRINCIPALE ---
@@ -72,45 +152,314 @@ class M3UEPGAddon {
         this.movies = [];
         this.series = [];
         this.seriesInfoCache = new Map();
+        this.episodesById = new Map();
+        this.directSeriesEpisodeIndex = new Map();
         this.epgData = {};
         this.lastUpdate = 0;
+        this.dataGeneration = 0;
+        this._updating = null;
+        this.onDataUpdated = null;
+        const refreshMinutes = parseFloat(config.refreshInterval);
+        this.refreshIntervalMs = Math.max(MIN_REFRESH_INTERVAL_MS, Number.isFinite(refreshMinutes) ? refreshMinutes * 60000 : REFRESH_INTERVAL_MS);
+        this.searchIndex = null;
+        this.epgSearchIndex = null;
+        // Index de recherche directe (reconstruits à chaque chargement des données)
+        this.itemsById = new Map();
+        this.itemsByTmdbId = new Map();   // "<type>:<tmdb_id>" -> [items]
+        this.itemsByImdbId = new Map();   // imdb_id -> [items]
+        this.itemsByCategory = new Map(); // "<type>:<catégorie>" -> [items]
+        this.seriesBySeriesId = new Map();
+        // Décalage EPG (flux mal horodatés) et fuseau d'affichage propres au token
+        const offsetHours = parseFloat(config.epgOffsetHours);
+        this.epgOffsetMs = Number.isFinite(offsetHours) ? offsetHours * 3600000 : 0;
+        this.displayTimezone = resolveTimezone(config.displayTimezone || process.env.DISPLAY_TIMEZONE);
+        // Fuseau du panel pour les URLs timeshift Xtream / placeholders de date du catch-up
+        this.catchupTimezone = resolveTimezone(config.catchupTimezone || process.env.CATCHUP_TIMEZONE);
+        // Langue / région des métadonnées TMDB et des textes générés
+        const { language, lang, region } = resolveLanguage(config.language || process.env.DEFAULT_LANGUAGE, config.region);
+        this.language = language;
+        this.lang = lang;
+        this.region = region;
+        this.t = (key, vars) => t(lang, key, vars);
+        // Token sans langue (configs existantes) : noms d'origine des catalogues principaux, en anglais
+        this.catalogLang = config.language || process.env.DEFAULT_LANGUAGE ? lang : LEGACY_CATALOG_LANG;
         this.log = (msg) => (process.env.DEBUG_MODE === 'true') && console.log(msg);
     }
 
+    // Mémoire locale d'abord, puis le tier Redis partagé (un nouveau replica n'appelle pas le provider),
+    // puis le snapshot disque (redémarrage sans Redis)
     async loadFromCache() {
         if (!CACHE_ENABLED) return;
         const cacheKey = 'addon:data:' + this.cacheKey;
         let cached = dataCache.get(cacheKey);
-        if (!cached && redisClient) {
-            cached = await redisGetJSON(cacheKey);
-            if (cached) dataCache.set(cacheKey, cached);
+        if (!cached && redisClient) cached = await dataStore.loadSnapshot(redisClient, cacheKey);
+        if (!cached && SNAPSHOT_DIR) {
+            cached = await diskStore.loadSnapshot(SNAPSHOT_DIR, this.cacheKey);
+            if (cached) this.log(`[DISK] Restored snapshot (${cached.movies.length} movies, ${cached.channels.length} tv)`);
         }
         if (cached) {
-            this.channels = cached.channels || [];
-            this.movies = cached.movies || [];
-            this.series = cached.series || [];
-            this.epgData = cached.epgData || {};
-            this.lastUpdate = cached.lastUpdate || 0;
+            dataCache.set(cacheKey, cached);
+            this.applySnapshot(cached);
         }
     }
 
+    applySnapshot(cached) {
+        this.channels = cached.channels || [];
+        this.movies = cached.movies || [];
+        this.series = cached.series || [];
+        this.epgData = cached.epgData || {};
+        this.directSeriesEpisodeIndex = new Map(cached.directSeriesEpisodeIndex || []);
+        this.lastUpdate = cached.lastUpdate || 0;
+        this.dataGeneration++;
+        this.buildIndexes();
+    }
+
     async saveToCache() {
         if (!CACHE_ENABLED) return;
         const cacheKey = 'addon:data:' + this.cacheKey;
-        const entry = { channels: this.channels, movies: this.movies, series: this.series, epgData: this.epgData, lastUpdate: this.lastUpdate };
-        dataCache.set(cacheKey, entry);
-        await redisSetJSON(cacheKey, entry, CACHE_TTL_MS);
+        const entry = {
+            channels: this.channels, movies: this.movies, series: this.series, epgData: this.epgData,
+            directSeriesEpisodeIndex: [...(this.directSeriesEpisodeIndex || new Map())],
+            lastUpdate: this.lastUpdate
+        };
+        if (!dataCache.set(cacheKey, entry)) this.log(`[CACHE] Data (${Math.round(this.approxBytes / 1048576)} MB) exceeds the local cache budget, not cached`);
+        if (redisClient) {
+            try {
+                const meta = await dataStore.saveSnapshot(redisClient, cacheKey, entry, CACHE_TTL_MS);
+                this.log(`[REDIS] Snapshot v${meta.version} saved (${meta.counts.channels} tv, ${meta.counts.movies} movies, ${meta.counts.series} series, ${meta.counts.epgChannels} EPG channels)`);
+            } catch (e) { console.error('[REDIS] Snapshot save failed:', e.message); }
+        }
+        if (SNAPSHOT_DIR) {
+            try {
+                await diskStore.saveSnapshot(SNAPSHOT_DIR, this.cacheKey, entry, CACHE_TTL_MS);
+            } catch (e) { console.error('[DISK] Snapshot save failed:', e.message); }
+        }
+    }
+
+    // Un autre replica a déjà rafraîchi ces données : reprise depuis Redis au lieu d'appeler le provider
+    async syncFromSharedTier() {
+        if (!CACHE_ENABLED || !redisClient) return false;
+        const cacheKey = 'addon:data:' + this.cacheKey;
+        const meta = await dataStore.loadMeta(redisClient, cacheKey);
+        if (!meta || meta.lastUpdate <= this.lastUpdate || Date.now() - meta.lastUpdate >= this.refreshIntervalMs) return false;
+        const snapshot = await dataStore.loadSnapshot(redisClient, cacheKey);
+        if (!snapshot) return false;
+        dataCache.set(cacheKey, snapshot);
+        this.applySnapshot(snapshot);
+        this.log(`[REDIS] Data v${meta.version} taken from shared tier`);
+        if (this.onDataUpdated) this.onDataUpdated();
+        return true;
     }
 
+    // Résout à false si le provider a échoué (les données précédentes restent servies)
     async updateData(force = false) {
         const now = Date.now();
-        if (!force && CACHE_ENABLED && this.lastUpdate && now - this.lastUpdate < 900000) return;
+        if (!force && CACHE_ENABLED && this.lastUpdate && now - this.lastUpdate < 900000) return true;
+        if (!this._updating) this._updating = this._fetchProviderData().finally(() => { this._updating = null; });
+        return this._updating;
+    }
+
+    async _fetchProviderData() {
         try {
+            if (await this.syncFromSharedTier()) return true;
             const providerModule = require(`./src/js/providers/${this.providerName}Provider.js`);
-            await providerModule.fetchData(this);
+            // Le provider remplit un objet intermédiaire : les handlers continuent de servir
+            // les anciennes données pendant le téléchargement, et un échec ne les efface pas
+            const staging = Object.create(this);
+            await providerModule.fetchData(staging);
+            for (const field of PROVIDER_DATA_FIELDS) {
+                if (Object.prototype.hasOwnProperty.call(staging, field)) this[field] = staging[field];
+            }
+            this.dataGeneration++;
+            // Correspondances TMDB déjà connues appliquées tout de suite, le reste en tâche de fond
+            tmdbMatcher.applyCachedMatches([...this.movies, ...this.series]);
+            this.buildIndexes();
             this.lastUpdate = Date.now();
             if (CACHE_ENABLED) await this.saveToCache();
-        } catch (e) { console.error('[UPDATE] Failed:', e.message); }
+            if (this.onDataUpdated) this.onDataUpdated();
+            this.startTmdbMatching();
+            return true;
+        } catch (e) {
+            console.error('[UPDATE] Failed:', e.message);
+            return false;
+        }
+    }
+
+    // Recherche TMDB par titre pour les items sans tmdb_id/imdb_id (M3U direct, panels incomplets)
+    startTmdbMatching() {
+        const tmdbKey = this.config.tmdbKey ? this.config.tmdbKey.trim() : null;
+        // Un passage par génération : celui d'une génération remplacée s'arrête seul (isCancelled)
+        // et ne doit pas empêcher le suivant de démarrer
+        if (!tmdbKey || !TMDB_MATCH_ENABLED || this.config.tmdbMatch === false) return;
+        if (this._tmdbMatchingGeneration === this.dataGeneration) return;
+        const generation = this.dataGeneration;
+        const items = [...this.movies, ...this.series].filter(i => !i.tmdb_id && !i.imdb_id);
+        if (!items.length) return;
+        this.log(`[TMDB] Matching ${items.length} titles in background`);
+        this._tmdbMatchingGeneration = generation;
+        tmdbMatcher.matchLibrary(items, tmdbKey, {
+            language: this.language,
+            region: this.region,
+            isCancelled: () => generation !== this.dataGeneration
+        })
+            .then(async (matched) => {
+                this.log(`[TMDB] ${matched} new matches`);
+                if (!matched || generation !== this.dataGeneration) return;
+                this.buildIndexes(); // nouveaux tmdb_id + titres originaux
+                if (CACHE_ENABLED) await this.saveToCache();
+            })
+            .catch(e => console.error('[TMDB] Matching failed:', e.message))
+            .finally(() => {
+                if (this._tmdbMatchingGeneration === generation) this._tmdbMatchingGeneration = null;
+            });
+    }
+
+    // --- INDEX ---
+    buildIndexes() {
+        this.buildLookupIndexes();
+        this.buildSearchIndex();
+        // Taille approximative des données de l'instance (budget mémoire du cache des interfaces)
+        this.approxBytes = LRUCache.estimateSize({
+            channels: this.channels, movies: this.movies, series: this.series,
+            epgData: this.epgData, directSeriesEpisodeIndex: this.directSeriesEpisodeIndex
+        });
+    }
+
+    buildLookupIndexes() {
+        const push = (map, key, item) => {
+            const list = map.get(key);
+            if (list) list.push(item); else map.set(key, [item]);
+        };
+        this.itemsById = new Map();
+        this.itemsByTmdbId = new Map();
+        this.itemsByImdbId = new Map();
+        this.itemsByCategory = new Map();
+        this.seriesBySeriesId = new Map();
+        for (const item of [...this.channels, ...this.movies, ...this.series]) {
+            if (!this.itemsById.has(item.id)) this.itemsById.set(item.id, item);
+            if (item.tmdb_id) push(this.itemsByTmdbId, `${item.type}:${item.tmdb_id}`, item);
+            if (item.imdb_id) push(this.itemsByImdbId, item.imdb_id, item);
+            const category = item.category || item.attributes?.['group-title'];
+            if (category) push(this.itemsByCategory, `${item.type}:${category}`, item);
+            if (item.series_id != null) this.seriesBySeriesId.set(String(item.series_id), item);
+        }
+    }
+
+    getItem(id) {
+        return this.itemsById.get(id) || null;
+    }
+
+    getItemsByTmdbId(tmdbId, types) {
+        return types.flatMap(type => this.itemsByTmdbId.get(`${type}:${tmdbId}`) || []);
+    }
+
+    getItemsByImdbId(imdbId, types) {
+        return (this.itemsByImdbId.get(imdbId) || []).filter(i => types.includes(i.type));
+    }
+
+    getItemsByCategory(type, category) {
+        return this.itemsByCategory.get(`${type}:${category}`) || [];
+    }
+
+    // --- RECHERCHE ---
+    // Construit dans le pool de workers. L'index d'une génération précédente pointe vers les anciens items :
+    // il est abandonné, la recherche passe par searchFallback en attendant le nouvel index
+    buildSearchIndex() {
+        const started = Date.now();
+        const generation = this.dataGeneration;
+        this.epgSearchIndex = null;
+        if (this.searchIndex && this.searchIndex.generation !== generation) this.searchIndex = null;
+        const build = parserPool.buildSearchIndex([...this.channels, ...this.movies, ...this.series])
+            .then((index) => {
+                if (generation !== this.dataGeneration) return;
+                index.generation = generation;
+                this.searchIndex = index;
+                this.log(`[SEARCH] Index built in ${Date.now() - started} ms`);
+            })
+            .catch((e) => {
+                console.error('[SEARCH] Index build failed:', e.message);
+            })
+            .finally(() => {
+                // Échec : nouvelle tentative (en worker) à la prochaine recherche
+                if (this._searchIndexBuild === build) this._searchIndexBuild = null;
+            });
+        this._searchIndexBuild = build;
+        return build;
+    }
+
+    // Index de la génération courante, ou null (build en cours / échoué)
+    currentSearchIndex() {
+        const index = this.searchIndex;
+        if (index && index.generation === this.dataGeneration) return index;
+        if (!this._searchIndexBuild) this.buildSearchIndex();
+        return null;
+    }
+
+    // Sans index : simple recherche de sous-chaîne sur les noms, sans classement
+    searchFallback(items, query) {
+        const needle = tmdbMatcher.normalize(query);
+        if (!needle) return [];
+        return items.filter(i => tmdbMatcher.normalize(i.name || '').includes(needle));
+    }
+
+    // Titres des programmes en cours / dans les 3 prochaines heures, reconstruit toutes les 10 minutes
+    getEpgSearchIndex() {
+        const now = Date.now();
+        if (this.epgSearchIndex && now - this.epgSearchIndex.builtAt < 600000) return this.epgSearchIndex;
+        const index = new SearchIndex();
+        for (const ch of this.channels) {
+            const channelId = this.getEpgId(ch);
+            for (const p of this.getSchedule(channelId, 6)) {
+                if (p.start.getTime() > now + 3 * 3600000) break;
+                // Programme en cours mieux classé que ceux à venir
+                index.addText(ch, p.title, p.start.getTime() <= now ? 0.7 : 0.4);
+            }
+        }
+        index.builtAt = now;
+        this.epgSearchIndex = index;
+        return index;
+    }
+
+    // Résultats classés pour un type, restreints aux items autorisés par le catalogue (blacklist, genre)
+    search(type, query, filter) {
+        const byType = (item) => item.type === type && (!filter || filter(item));
+        const index = this.currentSearchIndex();
+        if (!index) {
+            const pool = type === 'tv' ? this.channels : type === 'movie' ? this.movies : this.series;
+            return this.searchFallback(pool.filter(byType), query);
+        }
+        const results = index.search(query, { filter: byType });
+        if (type !== 'tv') return results.map(r => r.item);
+
+        // Chaînes : fusion avec les titres de programmes EPG
+        const merged = new Map(results.map(r => [r.item.id, r]));
+        for (const r of this.getEpgSearchIndex().search(query, { filter: byType })) {
+            const existing = merged.get(r.item.id);
+            if (existing) existing.score += r.score;
+            else merged.set(r.item.id, r);
+        }
+        return [...merged.values()].sort((a, b) => b.score - a.score).map(r => r.item);
+    }
+
+    // --- PARSING (pool de workers, voir parserPool.js) ---
+    async parseM3U(content) {
+        const items = await parserPool.parseM3U(content);
+        this.log(`[M3U] Parsed ${items.length} entries`);
+        return items;
+    }
+
+    // Accepte une chaîne, un Buffer ou un flux (corps de réponse node-fetch), gzip ou non
+    async parseEPG(source) {
+        let pastHours = parseFloat(this.config.epgPastHours ?? process.env.EPG_PAST_HOURS);
+        // Chaînes avec archive : garder la grille passée sur toute la durée de rattrapage (7 jours max)
+        if (!Number.isFinite(pastHours)) {
+            const catchupDays = this.channels.reduce((max, c) => Math.max(max, c.catchup?.days || 0), 0);
+            if (catchupDays) pastHours = Math.min(catchupDays, 7) * 24;
+        }
+        const futureHours = parseFloat(this.config.epgFutureHours ?? process.env.EPG_FUTURE_HOURS);
+        const epg = await parserPool.parseEPG(source, { pastHours, futureHours, offsetHours: this.epgOffsetMs / 3600000 });
+        this.log(`[EPG] Parsed ${Object.keys(epg).length} channels`);
+        return epg;
     }
 
     // --- METADONNÉES (VERSION TMDB HD RESTAURÉE) ---
@@ -133,26 +482,55 @@ class M3UEPGAddon {
         meta.background = meta.poster;
 
         if (item.type === 'tv') {
-            const epgId = item.attributes?.['tvg-id'] || item.attributes?.['tvg-name'];
-            const current = this.getCurrentProgram(epgId);
-            meta.description = current ? `📺 En direct: ${current.title}` : '📺 Chaîne TV en direct';
+            const current = this.getCurrentProgram(this.getEpgId(item));
+            if (current) {
+                const progress = Math.round(((Date.now() - current.start) / (current.stop - current.start)) * 100);
+                meta.description = this.t('liveNow', {
+                    title: current.title,
+                    start: this.formatEPGTime(current.start),
+                    stop: this.formatEPGTime(current.stop),
+                    progress: Math.min(100, Math.max(0, progress))
+                });
+            } else {
+                meta.description = this.t('liveChannel');
+            }
         } else {
-            meta.description = item.plot || "Cliquez pour plus d'infos...";
+            meta.description = item.plot || this.t('clickForInfo');
             if (item.type === 'movie') meta.year = item.year || (item.name.match(/\((\d{4})\)/)?.[1]);
         }
         return meta;
     }
 
     async getDetailedMetaAsync(id, type) {
-        const item = [...this.movies, ...this.series, ...this.channels].find(i => i.id === id);
+        const item = this.getItem(id);
         if (!item) return null;
 
-        const cacheKey = `meta_full_${type}_${item.tmdb_id || item.imdb_id || id}`;
-        const cached = dataCache.get(cacheKey);
+        // Chaînes TV : la grille change en permanence, pas de cache
+        if (item.type === 'tv') return this.getLiveMeta(item);
+
+        const tmdbKey = this.config.tmdbKey ? this.config.tmdbKey.trim() : null;
+        if (!item.tmdb_id && !item.imdb_id && tmdbKey && TMDB_MATCH_ENABLED && this.config.tmdbMatch !== false) {
+            try {
+                const match = await tmdbMatcher.findTmdbId(item, tmdbKey, { language: this.language, region: this.region });
+                if (match) {
+                    tmdbMatcher.applyMatch(item, match);
+                    const key = `${item.type}:${item.tmdb_id}`;
+                    this.itemsByTmdbId.set(key, [...(this.itemsByTmdbId.get(key) || []), item]);
+                    if (match.originalTitle) this.searchIndex?.addText(item, match.originalTitle, 0.8);
+                }
+            } catch (e) { this.log(`[TMDB] Match failed for "${item.name}": ${e.message}`); }
+        }
+
+        // Propre au tenant : la fiche contient ses ids d'épisodes / flux
+        const cacheKey = `addon:meta:${this.cacheKey}:${type}:${this.language}:${item.tmdb_id || item.imdb_id || id}`;
+        let cached = dataCache.get(cacheKey);
+        if (!cached && CACHE_ENABLED) {
+            cached = await redisGetPacked(cacheKey);
+            if (cached) dataCache.set(cacheKey, cached);
+        }
         if (cached) return cached;
 
         let meta = this.generateMetaPreview(item);
-        const tmdbKey = this.config.tmdbKey ? this.config.tmdbKey.trim() : null;
 
         if (item.tmdb_id && type !== 'tv') {
             meta.id = `tmdb:${item.tmdb_id}`;
@@ -167,22 +545,32 @@ class M3UEPGAddon {
             try {
                 const tmdbType = type === 'series' ? 'tv' : 'movie';
                 const searchId = item.tmdb_id || item.imdb_id;
-                const url = `https://api.themoviedb.org/3/${tmdbType}/${searchId}?api_key=${tmdbKey}&language=fr-FR&append_to_response=images,videos`;
+                const url = `https://api.themoviedb.org/3/${tmdbType}/${searchId}?api_key=${tmdbKey}&language=${this.language}`
+                    + `&append_to_response=images,videos&include_image_language=${this.lang},en,null&include_video_language=${this.lang},en`;
                 const res = await fetch(url);
                 if (res.ok) {
                     const data = await res.json();
                     meta.description = data.overview || meta.description;
+                    // Titre original indexé pour la recherche
+                    const originalTitle = data.original_title || data.original_name;
+                    if (originalTitle && !item.original_title) {
+                        item.original_title = originalTitle;
+                        this.searchIndex?.addText(item, originalTitle, 0.8);
+                    }
                     meta.releaseInfo = (data.release_date || data.first_air_date || "").split('-')[0];
                     meta.imdbRating = data.vote_average ? data.vote_average.toFixed(1) : null;
                     meta.genres = data.genres?.map(g => g.name) || [];
                     meta.background = data.backdrop_path ? `https://image.tmdb.org/t/p/original${data.backdrop_path}` : meta.background;
                     meta.poster = data.poster_path ? `https://image.tmdb.org/t/p/w500${data.poster_path}` : meta.poster;
                     if (data.images?.logos?.length > 0) {
-                        const logo = data.images.logos.find(l => l.iso_639_1 === 'fr') || data.images.logos[0];
+                        const logos = data.images.logos;
+                        const logo = logos.find(l => l.iso_639_1 === this.lang) || logos.find(l => l.iso_639_1 === 'en')
+                            || logos.find(l => !l.iso_639_1) || logos[0];
                         meta.logo = `https://image.tmdb.org/t/p/w500${logo.file_path}`;
                     }
                     if (data.videos?.results) {
-                        const tr = data.videos.results.find(v => v.type === 'Trailer' && v.site === 'YouTube');
+                        const trailers = data.videos.results.filter(v => v.type === 'Trailer' && v.site === 'YouTube');
+                        const tr = trailers.find(v => v.iso_639_1 === this.lang) || trailers.find(v => v.iso_639_1 === 'en') || trailers[0];
                         if (tr) meta.trailers = [{ source: tr.key, type: 'Trailer' }];
                     }
                 }
@@ -202,29 +590,127 @@ class M3UEPGAddon {
         }
 
         dataCache.set(cacheKey, meta);
+        if (CACHE_ENABLED) await redisSetPacked(cacheKey, meta, CACHE_TTL_MS);
+        return meta;
+    }
+
+    // Fiche chaîne : programme en cours / suivant / plus tard, chaque entrée jouable via le flux live
+    // (+ programmes passés rejouables quand la chaîne a une archive)
+    getLiveMeta(item) {
+        const meta = this.generateMetaPreview(item);
+        const schedule = this.getSchedule(this.getEpgId(item), 12);
+        const replays = this.getCatchupPrograms(item);
+        if (!schedule.length && !replays.length) return meta;
+        if (!schedule.length) {
+            meta.videos = replays;
+            return meta;
+        }
+
+        const labels = [this.t('scheduleNow'), this.t('scheduleNext')];
+        meta.description = schedule.slice(0, 4).map((p, i) => {
+            const head = `${labels[i] || this.t('scheduleLater')} ${this.formatEPGTime(p.start)} - ${this.formatEPGTime(p.stop)} : ${p.title}`;
+            return p.desc && i < 2 ? `${head}\n${p.desc}` : head;
+        }).join('\n\n');
+
+        meta.videos = schedule.map((p, i) => ({
+            id: `${item.id}:epg:${p.start.getTime()}`,
+            title: `${i === 0 ? '🔴 ' : ''}${this.formatEPGTime(p.start)} - ${p.title}${p.subTitle ? ` (${p.subTitle})` : ''}`,
+            released: p.start.toISOString(),
+            overview: p.desc || undefined,
+            thumbnail: p.icon || meta.poster
+        }));
+        meta.videos.push(...replays);
         return meta;
     }
 
+    // Programmes passés encore dans la fenêtre d'archive de la chaîne, plus récents d'abord
+    getCatchupPrograms(item, limit = 150) {
+        const days = item.catchup?.days;
+        const channelId = this.getEpgId(item);
+        if (!days || !channelId || !this.epgData[channelId]) return [];
+        const now = Date.now();
+        // Type de rattrapage sans URL possible (ex. "default" sans modèle hors Xtream) : rien à proposer
+        if (!buildCatchupUrl(item, new Date(now - 3600000), new Date(now), { provider: this.providerName })) return [];
+        const since = now - days * 86400000;
+        const out = [];
+        for (const p of this.epgData[channelId]) {
+            const start = this.parseEPGTime(p.start);
+            const stop = this.parseEPGTime(p.stop);
+            if (stop.getTime() > now || start.getTime() < since) continue;
+            out.push({
+                id: `${item.id}:catchup:${start.getTime()}:${stop.getTime()}`,
+                title: `⏪ ${this.formatEPGDate(start)} ${this.formatEPGTime(start)} - ${p.title}${p.subTitle ? ` (${p.subTitle})` : ''}`,
+                released: start.toISOString(),
+                overview: p.desc || undefined,
+                thumbnail: p.icon || undefined
+            });
+        }
+        return out.reverse().slice(0, limit);
+    }
+
     // --- EPG & STREAMS ---
+    getEpgId(item) {
+        return item.attributes?.['tvg-id'] || item.attributes?.['tvg-name'] || item.epg_channel_id;
+    }
+
+    // Programmes à venir (en cours inclus), triés par heure de début
+    getSchedule(channelId, limit = 10) {
+        if (!channelId || !this.epgData[channelId]) return [];
+        const now = new Date();
+        const out = [];
+        for (const p of this.epgData[channelId]) {
+            const stop = this.parseEPGTime(p.stop);
+            if (stop <= now) continue;
+            out.push({ ...p, start: this.parseEPGTime(p.start), stop });
+            if (out.length >= limit) break;
+        }
+        return out;
+    }
+
     getCurrentProgram(channelId) {
         if (!channelId || !this.epgData[channelId]) return null;
         const now = new Date();
         for (const p of this.epgData[channelId]) {
             const start = this.parseEPGTime(p.start);
             const stop = this.parseEPGTime(p.stop);
-            if (now >= start && now <= stop) return { title: p.title };
+            if (now >= start && now <= stop) return { title: p.title, start, stop, categories: p.categories || [] };
         }
         return null;
     }
 
+    // Chaînes dont le programme en cours porte une catégorie XMLTV correspondant au motif
+    getChannelsOnNow(pattern) {
+        const matches = [];
+        for (const ch of this.channels) {
+            const current = this.getCurrentProgram(this.getEpgId(ch));
+            if (current && current.categories.some(c => pattern.test(c))) matches.push({ ch, current });
+        }
+        // Les programmes qui viennent de commencer d'abord
+        matches.sort((a, b) => b.current.start - a.current.start);
+        return matches.map(m => m.ch);
+    }
+
+    // Horodatage XMLTV -> Date absolue (UTC), corrigé du décalage configuré pour le token
     parseEPGTime(s) {
         if (!s) return new Date();
-        const m = s.match(/^(\d{14})/);
-        if (m) {
-            const b = m[1];
-            return new Date(b.slice(0, 4), b.slice(4, 6) - 1, b.slice(6, 8), b.slice(8, 10), b.slice(10, 12), b.slice(12, 14));
+        const ms = parseXmltvTime(s);
+        return new Date((Number.isNaN(ms) ? Date.now() : ms) + this.epgOffsetMs);
+    }
+
+    // Date courte (jj/mm) dans le fuseau d'affichage du token
+    formatEPGDate(date) {
+        if (!this._dateFormatter) {
+            this._dateFormatter = new Intl.DateTimeFormat(this.language, { timeZone: this.displayTimezone, day: '2-digit', month: '2-digit' });
+        }
+        return this._dateFormatter.format(date);
+    }
+
+    // Heure lisible (HH:mm) dans le fuseau d'affichage du token
+    formatEPGTime(date) {
+        if (!this._timeFormatter) {
+            this._timeFormatter = new Intl.DateTimeFormat(this.language, { timeZone: this.displayTimezone, hour: '2-digit', minute: '2-digit' });
         }
-        return new Date(s);
+        return this._timeFormatter.format(date);
     }
 
     async ensureSeriesInfo(seriesId) {
@@ -234,27 +720,84 @@ class M3UEPGAddon {
             const providerModule = require(`./src/js/providers/${this.providerName}Provider.js`);
             const info = await providerModule.fetchSeriesInfo(this, seriesId);
             this.seriesInfoCache.set(seriesId, info);
+            for (const v of info?.videos || []) {
+                this.episodesById.set(v.id, v);
+                if (v.legacyId) this.episodesById.set(v.legacyId, v);
+            }
             return info;
         } catch (e) { return { videos: [] }; }
     }
 
-    getStream(id) {
+    async getStream(id) {
+        // Entrée de grille EPG (<chaîne>:epg:<début>) -> flux live de la chaîne
+        const epgEntry = id.indexOf(':epg:');
+        if (epgEntry !== -1) id = id.slice(0, epgEntry);
+        // Rattrapage (<chaîne>:catchup:<début>:<fin>) -> URL timeshift
+        const catchupEntry = id.match(/^(.+):catchup:(\d+):(\d+)$/);
+        if (catchupEntry) return this.getCatchupStream(catchupEntry[1], new Date(+catchupEntry[2]), new Date(+catchupEntry[3]));
         if (id.startsWith('iptv_series_ep_')) {
-            const epEntry = this.lookupEpisodeById(id);
+            const epEntry = this.lookupEpisodeById(id) || await this.resolveEpisodeId(id);
             return epEntry ? { url: epEntry.url, title: epEntry.title, behaviorHints: { notWebReady: true } } : null;
         }
-        const item = [...this.channels, ...this.movies].find(i => i.id === id);
-        return item ? { url: item.url, title: item.name, behaviorHints: { notWebReady: true } } : null;
+        const item = this.getItem(id);
+        if (!item || item.type === 'series') return null;
+        const behaviorHints = { notWebReady: true };
+        if (item.headers && Object.keys(item.headers).length) behaviorHints.proxyHeaders = { request: item.headers };
+        return { url: item.url, title: item.name, behaviorHints };
     }
 
-    lookupEpisodeById(epId) {
-        for (const [, info] of this.seriesInfoCache.entries()) {
-            if (info?.videos) {
-                const found = info.videos.find(v => v.id === epId);
-                if (found) return found;
-            }
+    // Épisode S/E de chaque série correspondante, sous forme d'items jouables (nom + url de l'épisode)
+    async getEpisodeItems(seriesItems, season, episode) {
+        const tag = `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+        const found = await Promise.all(seriesItems.map(async (s) => {
+            const info = await this.ensureSeriesInfo(s.series_id || s.id.replace(/^iptv_series_/, ''));
+            const ep = info?.videos?.find(v => v.season === season && v.episode === episode);
+            return ep?.url ? { ...s, name: `${s.name} ${tag}`, url: ep.url, episodeId: ep.id } : null;
+        }));
+        return found.filter(Boolean);
+    }
+
+    // Relais activé par le token : le client reçoit /:token/play/:id, l'URL réelle est résolue côté serveur
+    relayStream(stream, id) {
+        if (!stream || !this.config.streamRelay || !this.config.relayBaseUrl) return stream;
+        const { proxyHeaders, ...behaviorHints } = stream.behaviorHints || {};
+        return { ...stream, url: `${this.config.relayBaseUrl}/play/${encodeURIComponent(id)}`, behaviorHints };
+    }
+
+    getCatchupStream(channelId, start, stop) {
+        const item = this.getItem(channelId);
+        if (!item || item.type !== 'tv') return null;
+        const url = buildCatchupUrl(item, start, stop, { timeZone: this.catchupTimezone, provider: this.providerName });
+        if (!url) return null;
+        const behaviorHints = { notWebReady: true };
+        if (item.headers && Object.keys(item.headers).length) behaviorHints.proxyHeaders = { request: item.headers };
+        return { url, title: `⏪ ${item.name} ${this.formatEPGDate(start)} ${this.formatEPGTime(start)}`, behaviorHints };
+    }
+
+    // iptv_series_ep_<série>_<saison>_<épisode>_<stream> : résolu sans passer par le cache des fiches séries
+    // Anciens ids (iptv_series_ep_<stream> / hash) : résolus par le provider
+    async resolveEpisodeId(epId) {
+        const m = epId.match(/^iptv_series_ep_(.+)_(\d+)_(\d+)_([^_]+)$/);
+        if (!m) {
+            try {
+                const providerModule = require(`./src/js/providers/${this.providerName}Provider.js`);
+                const ep = providerModule.resolveLegacyEpisode ? await providerModule.resolveLegacyEpisode(this, epId) : null;
+                return ep?.url ? { ...ep, title: ep.title || epId } : null;
+            } catch (e) { return null; }
         }
-        return null;
+        const ref = { seriesId: m[1], season: parseInt(m[2], 10), episode: parseInt(m[3], 10), streamId: m[4] };
+        try {
+            const providerModule = require(`./src/js/providers/${this.providerName}Provider.js`);
+            const ep = await providerModule.resolveEpisode(this, ref);
+            if (!ep?.url) return null;
+            const series = this.seriesBySeriesId.get(ref.seriesId);
+            const tag = `S${String(ref.season).padStart(2, '0')}E${String(ref.episode).padStart(2, '0')}`;
+            return { ...ep, title: ep.title || (series ? `${series.name} ${tag}` : tag) };
+        } catch (e) { return null; }
+    }
+
+    lookupEpisodeById(epId) {
+        return this.episodesById.get(epId) || null;
     }
 }
 
@@ -268,7 +811,10 @@ async function createAddon(config) {
 
     const addonInstance = new M3UEPGAddon(config);
     await addonInstance.loadFromCache();
-    await addonInstance.updateData(true);
+    // Données en cache servies tout de suite et rafraîchies en arrière-plan par le scheduler ;
+    // sans cache, le premier chargement reste bloquant
+    if (!addonInstance.lastUpdate) await addonInstance.updateData(true);
+    refreshScheduler.register(addonInstance);
 
     const blacklist = config.blacklisted_cats || [];
     
@@ -277,6 +823,9 @@ async function createAddon(config) {
         return cats.filter(cat => !blacklist.includes(cat)).sort();
     };
 
+    const sortRails = (config.sort_rails || []).filter(o => SORT_ORDERS[o]);
+    const defaultSort = SORT_ORDERS[config.catalogSort] ? config.catalogSort : 'year';
+
     const manifest = {
         id: uniqueId, 
         version: "2.9.0", 
@@ -285,39 +834,67 @@ async function createAddon(config) {
         types: ["tv", "movie", "series"],
         catalogs: [
             // 1. RAILS FAVORIS (HOME)
-            ...(config.home_tvs_list ? config.home_tvs_list.map((cat, i) => ({ type: 'tv', id: `${prefix}home_tv_${i}`, name: `📺 ${cat}`, posterShape: 'landscape' })) : []),
-            ...(config.home_movies_list ? config.home_movies_list.map((cat, i) => ({ type: 'movie', id: `${prefix}home_movie_${i}`, name: `🎬 ${cat}` })) : []),
-            ...(config.home_series_list ? config.home_series_list.map((cat, i) => ({ type: 'series', id: `${prefix}home_series_${i}`, name: `🎞️ ${cat}` })) : []),
+            ...(config.home_tvs_list ? config.home_tvs_list.map((cat, i) => ({ type: 'tv', id: `${prefix}home_tv_${i}`, name: `📺 ${cat}`, extra: [{ name: 'skip' }], posterShape: 'landscape' })) : []),
+            ...(config.home_movies_list ? config.home_movies_list.map((cat, i) => ({ type: 'movie', id: `${prefix}home_movie_${i}`, name: `🎬 ${cat}`, extra: [{ name: 'skip' }] })) : []),
+            ...(config.home_series_list ? config.home_series_list.map((cat, i) => ({ type: 'series', id: `${prefix}home_series_${i}`, name: `🎞️ ${cat}`, extra: [{ name: 'skip' }] })) : []),
             
-            // 2. CATALOGUES GLOBAUX
-            { type: 'tv', id: `${prefix}channels`, name: `${cleanAddonName} Live`, extra: [{name:'genre'}, {name:'search'}], genres: getUniqueCats(addonInstance.channels), posterShape: 'landscape' },
-            { type: 'movie', id: `${prefix}movies`, name: `${cleanAddonName} Movies`, extra: [{name:'genre'}, {name:'search'}], genres: getUniqueCats(addonInstance.movies) },
-            { type: 'series', id: `${prefix}series`, name: `${cleanAddonName} Series`, extra: [{name:'genre'}, {name:'search'}], genres: getUniqueCats(addonInstance.series) }
+            // 2. EN DIRECT PAR CATÉGORIE EPG
+            ...(config.enableEpg ? ON_NOW_CATALOGS.map(c => ({ type: 'tv', id: `${prefix}onnow_${c.key}`, name: addonInstance.t(c.nameKey), extra: [{ name: 'skip' }], posterShape: 'landscape' })) : []),
+
+            // 3. RAILS TRIÉS (récents, notes, A–Z, année)
+            ...sortRails.flatMap(order => [
+                { type: 'movie', id: `${prefix}sort_movie_${order}`, name: addonInstance.t(SORT_ORDERS[order].nameKey, { type: addonInstance.t('typeMovies') }), extra: [{name:'genre'}, {name:'skip'}], genres: getUniqueCats(addonInstance.movies) },
+                ...(config.includeSeries !== false ? [{ type: 'series', id: `${prefix}sort_series_${order}`, name: addonInstance.t(SORT_ORDERS[order].nameKey, { type: addonInstance.t('typeSeries') }), extra: [{name:'genre'}, {name:'skip'}], genres: getUniqueCats(addonInstance.series) }] : [])
+            ]),
+
+            // 4. CATALOGUES GLOBAUX
+            { type: 'tv', id: `${prefix}channels`, name: t(addonInstance.catalogLang, 'catalogLive', { name: cleanAddonName }), extra: [{name:'genre'}, {name:'search'}, {name:'skip'}], genres: getUniqueCats(addonInstance.channels), posterShape: 'landscape' },
+            { type: 'movie', id: `${prefix}movies`, name: t(addonInstance.catalogLang, 'catalogMovies', { name: cleanAddonName }), extra: [{name:'genre'}, {name:'search'}, {name:'skip'}], genres: getUniqueCats(addonInstance.movies) },
+            { type: 'series', id: `${prefix}series`, name: t(addonInstance.catalogLang, 'catalogSeries', { name: cleanAddonName }), extra: [{name:'genre'}, {name:'search'}, {name:'skip'}], genres: getUniqueCats(addonInstance.series) }
         ],
         idPrefixes: [prefix, "iptv_", "tt", "tmdb:"]
     };
 
+    let addonInterface = null;
+    // Genres recalculés après chaque rafraîchissement (le manifeste est resservi à chaque requête)
+    addonInstance.onDataUpdated = () => {
+        const byType = { tv: addonInstance.channels, movie: addonInstance.movies, series: addonInstance.series };
+        for (const c of manifest.catalogs) if (c.genres) c.genres = getUniqueCats(byType[c.type]);
+        if (addonInterface && addonInterface.onDataUpdated) addonInterface.onDataUpdated();
+    };
+
     const builder = new addonBuilder(manifest);
 
-    builder.defineCatalogHandler(async (args) => {
+    // Listes triées figées par catalogue (+ filtres) : les pages suivantes (skip > 0) sont servies depuis
+    // la même liste même si les données sont rafraîchies entre deux pages
+    const catalogSnapshots = new LRUCache({ max: 50, ttl: CATALOG_SNAPSHOT_TTL_MS });
+
+    const buildCatalogItems = (args) => {
         let items = [];
         const bList = config.blacklisted_cats || [];
 
         // Gestion des IDs de catalogues (Favoris vs Globaux)
         if (args.id.includes('home_tv_')) {
             const cat = config.home_tvs_list[parseInt(args.id.split('_').pop())];
-            items = addonInstance.channels.filter(i => (i.category === cat || i.attributes?.['group-title'] === cat));
+            items = addonInstance.getItemsByCategory('tv', cat);
         } 
         else if (args.id.includes('home_movie_')) {
             const cat = config.home_movies_list[parseInt(args.id.split('_').pop())];
-            items = addonInstance.movies.filter(i => (i.category === cat || i.attributes?.['group-title'] === cat));
+            items = addonInstance.getItemsByCategory('movie', cat);
+        }
+        else if (args.id.includes('onnow_')) {
+            const def = ON_NOW_CATALOGS.find(c => c.key === args.id.split('onnow_').pop());
+            items = def ? addonInstance.getChannelsOnNow(def.match) : [];
+            items = items.filter(i => !bList.includes(i.category || i.attributes?.['group-title']));
         }
         else if (args.id.includes('home_series_')) {
             const cat = config.home_series_list[parseInt(args.id.split('_').pop())];
-            items = addonInstance.series.filter(i => (i.category === cat || i.attributes?.['group-title'] === cat));
+            items = addonInstance.getItemsByCategory('series', cat);
         }
         else {
-            if (args.type === 'tv') items = addonInstance.channels;
+            // Catalogues globaux et rails triés (genre servi directement par l'index des catégories)
+            if (args.extra?.genre) items = addonInstance.getItemsByCategory(args.type, args.extra.genre);
+            else if (args.type === 'tv') items = addonInstance.channels;
             else if (args.type === 'movie') items = addonInstance.movies;
             else if (args.type === 'series') items = addonInstance.series;
             
@@ -325,80 +902,101 @@ async function createAddon(config) {
             items = items.filter(i => !bList.includes(i.category || i.attributes?.['group-title']));
         }
 
-        // Filtres Supplémentaires (Genre / Recherche)
-        if (args.extra?.genre) {
-            items = items.filter(i => (i.category === args.extra.genre || i.attributes?.['group-title'] === args.extra.genre));
-        }
+        // Recherche
         if (args.extra?.search) {
-            const q = args.extra.search.toLowerCase();
-            items = items.filter(i => i.name.toLowerCase().includes(q));
+            // Index inversé : résultats déjà classés par pertinence
+            const allowed = new Set(items);
+            return addonInstance.search(args.type, args.extra.search, i => allowed.has(i));
         }
         if (args.type !== 'tv') {
-            items.sort((a, b) => (b.year || 0) - (a.year || 0));
+            // Ordre total (critère, puis nom, puis id) pour des pages stables
+            const order = args.id.match(/sort_(?:movie|series)_(\w+)$/)?.[1];
+            items = [...items].sort(SORT_ORDERS[SORT_ORDERS[order] ? order : defaultSort].compare);
         }
-        return { metas: items.slice(0, 100).map(i => addonInstance.generateMetaPreview(i)) };
+        return items;
+    };
+
+    builder.defineCatalogHandler(async (args) => {
+        refreshScheduler.touch(addonInstance);
+        const skip = Math.max(0, parseInt(args.extra?.skip, 10) || 0);
+        const snapKey = `${args.type}|${args.id}|${args.extra?.genre || ''}|${args.extra?.search || ''}`;
+        let snap = catalogSnapshots.get(snapKey);
+        // Première page : reconstruite si les données ont changé (ou si le catalogue dépend de l'heure)
+        if (!snap || (skip === 0 && (snap.generation !== addonInstance.dataGeneration || snap.volatile))) {
+            snap = { items: buildCatalogItems(args), generation: addonInstance.dataGeneration, volatile: args.id.includes('onnow_') };
+            catalogSnapshots.set(snapKey, snap);
+        }
+        return { metas: snap.items.slice(skip, skip + CATALOG_PAGE_SIZE).map(i => addonInstance.generateMetaPreview(i)) };
     });
 
 builder.defineStreamHandler(async ({ type, id }) => {
+    refreshScheduler.touch(addonInstance);
     console.log(`\n🔍 [STREAM] Recherche pour "${id}" (${type})`);
     
     let matchedItems = []; // ✅ Array au lieu d'un seul item
 
+    // Épisodes Stremio (Cinemeta) : tt123:1:3 / tmdb:123:1:3 → id de base + saison/épisode
+    const episodeId = id.match(/^(tt\d+|tmdb:\d+):(\d+):(\d+)$/);
+    const baseId = episodeId ? episodeId[1] : id;
+    const episodeRef = episodeId ? { season: parseInt(episodeId[2], 10), episode: parseInt(episodeId[3], 10) } : null;
+    const poolTypes = episodeRef ? ['series'] : ['movie', 'series'];
+    if (episodeRef) console.log(`   → Épisode demandé: S${episodeRef.season}E${episodeRef.episode}`);
+
     // 1. SI L'ID EST IMDB (ex: tt123456) → CONVERTIR EN TMDB
-    if (id.startsWith('tt')) {
+    if (baseId.startsWith('tt')) {
         console.log(`   → ID IMDB détecté, conversion en TMDB...`);
-        
+
+        // Items portant directement l'IMDB id (pas besoin de TMDB)
+        matchedItems = addonInstance.getItemsByImdbId(baseId, poolTypes);
+
         const tmdbKey = config.tmdbKey || addonInstance.config.tmdbKey;
         if (!tmdbKey) {
             console.log(`   ❌ Clé TMDB manquante, impossible de convertir`);
-            return { streams: [] };
-        }
-
-        try {
-            // Conversion IMDB → TMDB via API
-            const tmdbType = type === 'series' ? 'tv' : 'movie';
-            const url = `https://api.themoviedb.org/3/find/${id}?api_key=${tmdbKey}&external_source=imdb_id`;
-            console.log(`   → Appel TMDB API...`);
-            
-            const response = await fetch(url);
-            if (!response.ok) {
-                console.log(`   ❌ Erreur API TMDB: ${response.status}`);
-                return { streams: [] };
-            }
-
-            const data = await response.json();
-            const results = data.movie_results || data.tv_results || [];
-            
-            if (results.length === 0) {
-                console.log(`   ❌ Aucun résultat TMDB pour ${id}`);
-                return { streams: [] };
-            }
-
-            const tmdbId = results[0].id.toString();
-            console.log(`   ✅ Conversion réussie: ${id} → TMDB:${tmdbId} (${results[0].title || results[0].name})`);
+            if (!matchedItems.length) return { streams: [] };
+        } else {
+            try {
+                // Conversion IMDB → TMDB via API
+                const url = `https://api.themoviedb.org/3/find/${baseId}?api_key=${tmdbKey}&external_source=imdb_id`;
+                console.log(`   → Appel TMDB API...`);
 
-            // ✅ FILTER pour tous les matches
-            matchedItems = [...addonInstance.movies, ...addonInstance.series].filter(i => {
-                return i.tmdb_id && i.tmdb_id.toString() === tmdbId;
-            });
+                const response = await fetch(url);
+                if (!response.ok) {
+                    console.log(`   ❌ Erreur API TMDB: ${response.status}`);
+                    if (!matchedItems.length) return { streams: [] };
+                } else {
+                    const data = await response.json();
+                    // Séries → tv_results, films → movie_results (repli sur l'autre liste si vide)
+                    const primary = (type === 'series' ? data.tv_results : data.movie_results) || [];
+                    const results = primary.length ? primary : [...(data.movie_results || []), ...(data.tv_results || [])];
 
-            console.log(`   ✅ ${matchedItems.length} stream(s) brut(s) trouvé(s)`);
+                    if (results.length === 0) {
+                        console.log(`   ❌ Aucun résultat TMDB pour ${baseId}`);
+                    } else {
+                        const tmdbId = results[0].id.toString();
+                        console.log(`   ✅ Conversion réussie: ${baseId} → TMDB:${tmdbId} (${results[0].title || results[0].name})`);
 
-        } catch (error) {
-            console.log(`   ❌ Erreur conversion IMDB→TMDB: ${error.message}`);
-            return { streams: [] };
+                        // ✅ FILTER pour tous les matches
+                        for (const i of addonInstance.getItemsByTmdbId(tmdbId, poolTypes)) {
+                            if (!matchedItems.includes(i)) matchedItems.push(i);
+                        }
+                    }
+                }
+            } catch (error) {
+                console.log(`   ❌ Erreur conversion IMDB→TMDB: ${error.message}`);
+                if (!matchedItems.length) return { streams: [] };
+            }
         }
+
+        console.log(`   ✅ ${matchedItems.length} stream(s) brut(s) trouvé(s)`);
     } 
     
     // 2. SI L'ID EST TMDB (ex: tmdb:98765)
-    else if (id.startsWith('tmdb:')) {
-        const tmdbId = id.split(':')[1];
+    else if (baseId.startsWith('tmdb:')) {
+        const tmdbId = baseId.split(':')[1];
         console.log(`   → ID TMDB détecté: ${tmdbId}`);
         
         // ✅ FILTER pour tous les matches
-        matchedItems = [...addonInstance.movies, ...addonInstance.series].filter(i => {
-            return i.tmdb_id && i.tmdb_id.toString() === tmdbId;
-        });
+        matchedItems = addonInstance.getItemsByTmdbId(tmdbId, poolTypes);
         
         console.log(`   ✅ ${matchedItems.length} stream(s) brut(s) trouvé(s)`);
     }
@@ -406,13 +1004,19 @@ builder.defineStreamHandler(async ({ type, id }) => {
     // 3. SI C'EST TON ID INTERNE (clic depuis ton catalogue)
     else {
         console.log(`   → ID interne détecté`);
-        const stream = addonInstance.getStream(id);
+        const stream = await addonInstance.getStream(id);
         if (stream) {
             console.log(`   ✅ Stream trouvé`);
-            return { streams: [stream] };
+            return { streams: [addonInstance.relayStream(stream, id)] };
         }
     }
 
+    // Épisode IMDB / TMDB (tt123:1:3) : séries trouvées → résoudre l'épisode demandé (get_series_info / index direct)
+    if (episodeRef && matchedItems.length) {
+        matchedItems = await addonInstance.getEpisodeItems(matchedItems, episodeRef.season, episodeRef.episode);
+        console.log(`   ✅ ${matchedItems.length} épisode(s) S${episodeRef.season}E${episodeRef.episode} trouvé(s)`);
+    }
+
     // ✅ FILTRER LA BLACKLIST AVANT DE RETOURNER
     if (matchedItems.length > 0) {
         const blacklist = config.blacklisted_cats || [];
@@ -457,14 +1061,14 @@ builder.defineStreamHandler(async ({ type, id }) => {
             
             title += ` - ${item.name}`;
             
-            return {
+            return addonInstance.relayStream({
                 url: item.url,
                 title: title,
                 behaviorHints: { 
                     notWebReady: true,
                     proxyHeaders: { "User-Agent": "Mozilla/5.0" }
                 }
-            };
+            }, item.episodeId || item.id);
         });
 
         console.log(`✅ [STREAM] Retour de ${streams.length} stream(s)\n`);
@@ -476,9 +1080,29 @@ builder.defineStreamHandler(async ({ type, id }) => {
     console.log(`❌ [STREAM] Aucun stream trouvé pour "${id}"\n`);
     return { streams: [] };
 });
-    builder.defineMetaHandler(async ({ type, id }) => ({ meta: await addonInstance.getDetailedMetaAsync(id, type) }));
+    builder.defineMetaHandler(async ({ type, id }) => {
+        refreshScheduler.touch(addonInstance);
+        return { meta: await addonInstance.getDetailedMetaAsync(id, type) };
+    });
 
-    return builder.getInterface();
+    addonInterface = builder.getInterface();
+    Object.defineProperty(addonInterface, 'approxBytes', { get: () => addonInstance.approxBytes || 0 });
+    // Appelé par server.js quand l'interface quitte le cache : plus de rafraîchissement en arrière-plan
+    Object.defineProperty(addonInterface, 'dispose', {
+        value: () => {
+            addonInstance.disposed = true;
+            refreshScheduler.unregister(addonInstance);
+        }
+    });
+    // Rappel optionnel de server.js après chaque rafraîchissement (nouvelle mesure de la taille en cache)
+    Object.defineProperty(addonInterface, 'onDataUpdated', { value: null, writable: true });
+    // Utilisés par la route /:token/play/:id de server.js
+    Object.defineProperty(addonInterface, 'relayEnabled', { value: !!(config.streamRelay && config.relayBaseUrl) });
+    Object.defineProperty(addonInterface, 'resolveStream', { value: (id) => addonInstance.getStream(id) });
+    return addonInterface;
 }
 
+// Statistiques des caches / du scheduler du process (exposées par /health)
+createAddon.stats = () => ({ data: dataCache.stats(), refresh: refreshScheduler.stats(), parser: parserPool.stats() });
+
 module.exports = createAddon;
\ No newline at end of file
@@ -0,0 +1,124 @@
+// catchup.js
+// Builds catch-up (timeshift) URLs for a past programme.
+// item.catchup = { type, source, days } comes from:
+// - the M3U parser (catchup / catchup-source / catchup-days attributes)
+// - xtreamProvider (tv_archive / tv_archive_duration -> type 'xc')
+// Supported types: default, append, shift, flussonic (fs), xc.
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Calendar parts of a Date in the given IANA timezone.
+ */
+function dateParts(date, timeZone) {
+    const fmt = new Intl.DateTimeFormat('en-GB', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    const out = {};
+    for (const p of fmt.formatToParts(date)) out[p.type] = p.value;
+    return out;
+}
+
+/**
+ * Replace the catch-up placeholders used by Kodi / TiviMate style playlists.
+ */
+function fillTemplate(template, start, stop, timeZone) {
+    const now = Date.now();
+    const startS = Math.floor(start.getTime() / 1000);
+    const stopS = Math.floor(stop.getTime() / 1000);
+    const durationS = Math.max(60, stopS - startS);
+    const offsetS = Math.max(0, Math.floor(now / 1000) - startS);
+    const p = dateParts(start, timeZone);
+    const e = dateParts(stop, timeZone);
+    const vars = {
+        'utc': startS, 'start': startS, 'timestamp': Math.floor(now / 1000),
+        'utcend': stopS, 'end': stopS, 'lutc': Math.floor(now / 1000), 'now': Math.floor(now / 1000),
+        'duration': durationS, 'offset': offsetS,
+        'Y': p.year, 'm': p.month, 'd': p.day, 'H': p.hour, 'M': p.minute, 'S': p.second
+    };
+    return template
+        // {duration:60} / {offset:60} -> value divided by the given unit
+        .replace(/\$?\{(duration|offset):(\d+)\}/g, (_, k, div) => Math.floor(vars[k] / parseInt(div, 10)))
+        // {utc:Y-m-d H:M:S} / ${start:...} / {utcend:...} -> formatted date
+        .replace(/\$?\{(utc|start|utcend|end):([^}]+)\}/g, (_, k, f) => {
+            const parts = (k === 'utcend' || k === 'end') ? e : p;
+            return f.replace(/[YmdHMS]/g, c => ({ Y: parts.year, m: parts.month, d: parts.day, H: parts.hour, M: parts.minute, S: parts.second })[c]);
+        })
+        .replace(/\$?\{(\w+)\}/g, (all, k) => (k in vars ? vars[k] : all));
+}
+
+/**
+ * Xtream Codes timeshift: /timeshift/<user>/<pass>/<minutes>/<YYYY-MM-DD:HH-MM>/<id>.ts
+ * Start time is expressed in the panel timezone.
+ */
+function xtreamTimeshiftUrl(liveUrl, start, stop, timeZone) {
+    const m = liveUrl.match(/^(https?:\/\/[^/]+)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(?:\.\w+)?$/);
+    if (!m) return null;
+    const [, host, user, pass, streamId] = m;
+    const minutes = Math.max(1, Math.ceil((stop - start) / 60000));
+    const p = dateParts(start, timeZone);
+    return `${host}/timeshift/${user}/${pass}/${minutes}/${p.year}-${p.month}-${p.day}:${p.hour}-${p.minute}/${streamId}.ts`;
+}
+
+/**
+ * Flussonic: index.m3u8 -> index-<start>-<duration>.m3u8, mpegts -> timeshift_abs-<start>.ts
+ */
+function flussonicUrl(liveUrl, start, stop) {
+    const startS = Math.floor(start.getTime() / 1000);
+    const durationS = Math.max(60, Math.floor((stop - start) / 1000));
+    if (/\/(index|video|mono)[^/]*\.m3u8(\?.*)?$/.test(liveUrl)) {
+        return liveUrl.replace(/\/(index|video|mono)[^/?]*\.m3u8/, `/$1-${startS}-${durationS}.m3u8`);
+    }
+    if (/\/mpegts(\?.*)?$/.test(liveUrl)) {
+        return liveUrl.replace(/\/mpegts/, `/timeshift_abs-${startS}.ts`);
+    }
+    return null;
+}
+
+/**
+ * Catch-up URL for a programme, or null if the channel / programme cannot be replayed.
+ * @param {object} item       channel with url + catchup
+ * @param {Date}   start
+ * @param {Date}   stop
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone]  timezone used for calendar placeholders and Xtream paths (default UTC)
+ * @param {string} [opts.provider]  provider of the channel; only 'xtream' channels get the template-less timeshift guess
+ */
+function buildCatchupUrl(item, start, stop, opts = {}) {
+    const catchup = item && item.catchup;
+    if (!catchup || !item.url) return null;
+    const timeZone = opts.timeZone || 'UTC';
+    if (catchup.days && Date.now() - start.getTime() > catchup.days * 86400000) return null;
+
+    switch (catchup.type) {
+        case 'xc':
+            return xtreamTimeshiftUrl(item.url, start, stop, timeZone);
+        case 'flussonic':
+        case 'flussonic-hls':
+        case 'flussonic-ts':
+        case 'fs':
+            return flussonicUrl(item.url, start, stop);
+        case 'shift': {
+            const sep = item.url.includes('?') ? '&' : '?';
+            return `${item.url}${sep}utc=${Math.floor(start.getTime() / 1000)}&lutc=${Math.floor(Date.now() / 1000)}`;
+        }
+        case 'append':
+            return catchup.source ? item.url + fillTemplate(catchup.source, start, stop, timeZone) : null;
+        case 'default':
+        default:
+            if (catchup.source) {
+                const filled = fillTemplate(catchup.source, start, stop, timeZone);
+                // Relative sources ("?utc={utc}") are appended to the live URL
+                return /^https?:\/\//i.test(filled) ? filled : item.url + filled;
+            }
+            // No template: only a known Xtream panel is assumed to support its timeshift format
+            return opts.provider === 'xtream' ? xtreamTimeshiftUrl(item.url, start, stop, timeZone) : null;
+    }
+}
+
+module.exports = {
+    buildCatchupUrl
+};
@@ -0,0 +1,211 @@
+// configStore.js
+// Optional server-side storage of addon configs under short random ids (cfg-xxxxxxxxxxxx), so manifest URLs
+// stay short whatever the size of the config (category lists, blacklist...).
+// - Backend: one JSON file per id in CONFIG_STORE_DIR, or Redis (`config:<id>`, no expiry) with CONFIG_STORE_REDIS=true
+//   (the Redis instance must then not evict keys: allkeys-* maxmemory policies would drop configs)
+// - Configs are encrypted at rest with the config secrets when encryption is enabled (cryptoConfig)
+// - Each id comes with an edit secret, returned once at creation; only its hash is stored.
+//   Updating or deleting a config requires it.
+// - Every update bumps `rev`, which is part of the interface cache key. server.js announces updates / deletions
+//   to every replica over Redis pub/sub; without Redis other replicas pick the change up once their short
+//   read cache expires
+// - Configs unused for CONFIG_STORE_TTL_DAYS (default 180, 0 = keep forever) are dropped: Redis keys carry
+//   an expiry pushed back on use, files are swept by modification time (touched on use)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const LRUCache = require('./lruCache');
+const { encryptConfig, decryptConfig } = require('./cryptoConfig');
+
+const ID_PATTERN = /^cfg-[A-Za-z0-9_-]{12}$/;
+const MAX_CONFIG_BYTES = parseInt(process.env.CONFIG_STORE_MAX_BYTES || '65536', 10);
+const DEFAULT_TTL_MS = parseFloat(process.env.CONFIG_STORE_TTL_DAYS || '180') * 86400 * 1000;
+const TOUCH_INTERVAL_MS = 24 * 3600 * 1000;
+const SWEEP_INTERVAL_MS = 3600 * 1000;
+
+function storeError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+class ConfigStore {
+    /**
+     * @param {object} opts
+     * @param {object} [opts.redis]        ioredis client (used when no dir is given)
+     * @param {string} [opts.dir]          directory for the file backend
+     * @param {number} [opts.cacheTtlMs]   read cache duration
+     * @param {number} [opts.ttlMs]        drop configs unused for this long (0 = never)
+     */
+    constructor({ redis = null, dir = null, cacheTtlMs = 30000, ttlMs = DEFAULT_TTL_MS } = {}) {
+        this.redis = dir ? null : redis;
+        this.dir = dir || null;
+        this.ttlMs = ttlMs > 0 ? ttlMs : 0;
+        this.cache = new LRUCache({ max: 1000, ttl: cacheTtlMs });
+        this.touched = new LRUCache({ max: 10000, ttl: TOUCH_INTERVAL_MS }); // ids whose expiry was pushed back recently
+        this.lastSweep = 0;
+    }
+
+    get enabled() {
+        return !!(this.dir || this.redis);
+    }
+
+    isId(token) {
+        return this.enabled && ID_PATTERN.test(token || '');
+    }
+
+    // --- backend ---
+
+    async _read(id) {
+        if (this.redis) {
+            const raw = await this.redis.get(`config:${id}`);
+            return raw ? JSON.parse(raw) : null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    async _write(id, record) {
+        const json = JSON.stringify(record);
+        if (this.redis) {
+            return this.ttlMs ? this.redis.set(`config:${id}`, json, 'PX', this.ttlMs) : this.redis.set(`config:${id}`, json);
+        }
+        await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+        const file = path.join(this.dir, `${id}.json`);
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+            await fs.promises.writeFile(tmp, json, { mode: 0o600 });
+            await fs.promises.rename(tmp, file);
+        } catch (e) {
+            await fs.promises.unlink(tmp).catch(() => {});
+            throw e;
+        }
+    }
+
+    async _remove(id) {
+        if (this.redis) return this.redis.del(`config:${id}`);
+        await fs.promises.unlink(path.join(this.dir, `${id}.json`)).catch(() => {});
+    }
+
+    // Used config: push its expiry back (at most once a day per id)
+    async _touch(id) {
+        if (!this.ttlMs || this.touched.get(id)) return;
+        this.touched.set(id, true);
+        if (this.redis) return this.redis.pexpire(`config:${id}`, this.ttlMs);
+        const now = new Date();
+        await fs.promises.utimes(path.join(this.dir, `${id}.json`), now, now);
+    }
+
+    /**
+     * Delete file configs unused for ttlMs (Redis expires them by itself). Runs at most once an hour.
+     */
+    async sweep() {
+        const now = Date.now();
+        if (!this.ttlMs || this.redis || !this.dir || now - this.lastSweep < SWEEP_INTERVAL_MS) return 0;
+        this.lastSweep = now;
+        let removed = 0;
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (e) {
+            if (e.code === 'ENOENT') return 0;
+            throw e;
+        }
+        for (const file of files) {
+            const id = file.replace(/\.json$/, '');
+            if (id === file || !ID_PATTERN.test(id)) continue;
+            try {
+                const stat = await fs.promises.stat(path.join(this.dir, file));
+                if (now - stat.mtimeMs <= this.ttlMs) continue;
+                await this._remove(id);
+                this.cache.delete(id);
+                removed++;
+            } catch { /* removed meanwhile */ }
+        }
+        if (removed) console.log(`[CONFIG] ${removed} unused stored config(s) removed`);
+        return removed;
+    }
+
+    // --- records ---
+
+    _seal(config) {
+        const json = JSON.stringify(config || {});
+        if (Buffer.byteLength(json) > MAX_CONFIG_BYTES) throw storeError(413, 'Config too large');
+        return encryptConfig(json) || json;
+    }
+
+    _open(record) {
+        return record.data.startsWith('enc:') ? decryptConfig(record.data) : JSON.parse(record.data);
+    }
+
+    async _authorize(id, secret) {
+        if (!ID_PATTERN.test(id || '')) throw storeError(404, 'Unknown config id');
+        const record = await this._read(id);
+        if (!record) throw storeError(404, 'Unknown config id');
+        const expected = Buffer.from(record.secretHash, 'hex');
+        if (!secret || !crypto.timingSafeEqual(hashSecret(secret), expected)) throw storeError(403, 'Invalid edit secret');
+        return record;
+    }
+
+    /**
+     * Store a new config. Returns { id, editSecret, rev }; the edit secret cannot be recovered later.
+     */
+    async create(config) {
+        if (!this.enabled) throw storeError(404, 'Config store disabled');
+        this.sweep().catch(e => console.error('[CONFIG] Sweep failed:', e.message));
+        const data = this._seal(config);
+        let id;
+        do {
+            id = 'cfg-' + crypto.randomBytes(9).toString('base64url');
+        } while (await this._read(id));
+        const editSecret = crypto.randomBytes(24).toString('base64url');
+        const now = Date.now();
+        await this._write(id, { data, secretHash: hashSecret(editSecret).toString('hex'), rev: 1, createdAt: now, updatedAt: now });
+        return { id, editSecret, rev: 1 };
+    }
+
+    /**
+     * Config for an id: { config, rev } or null.
+     */
+    async get(id) {
+        const cached = this.cache.get(id);
+        if (cached) {
+            this._touch(id).catch(() => {});
+            return cached;
+        }
+        const record = await this._read(id);
+        if (!record) return null;
+        this._touch(id).catch(() => {});
+        const entry = { config: this._open(record), rev: record.rev };
+        this.cache.set(id, entry);
+        return entry;
+    }
+
+    // Drop the cached copy of a config (changed on another replica)
+    invalidate(id) {
+        this.cache.delete(id);
+    }
+
+    async update(id, secret, config) {
+        const record = await this._authorize(id, secret);
+        const rev = (record.rev || 0) + 1;
+        await this._write(id, { ...record, data: this._seal(config), rev, updatedAt: Date.now() });
+        this.cache.delete(id);
+        return { id, rev };
+    }
+
+    async delete(id, secret) {
+        const record = await this._authorize(id, secret);
+        await this._remove(id);
+        this.cache.delete(id);
+        return { id, rev: record.rev };
+    }
+}
+
+module.exports = ConfigStore;
@@ -2,58 +2,207 @@ require('dotenv').config();
 const crypto = require('crypto');
 
 /**
- * Derive a 32-byte key from CONFIG_SECRET (if present & sufficiently long).
+ * Versioned secrets, current key first. For a `<NAME>` prefix (CONFIG_SECRET, TOKEN_SIGNING_SECRET):
+ *  - <NAME>S="<kid>:<secret>,<kid>:<secret>"  versioned secrets, the first one is used for new tokens
+ *  - <NAME> (+ <NAME>_ID, default "k0")        single secret, or the oldest one when <NAME>S is set
+ * To rotate: put the new secret first in <NAME>S and keep the old ones listed until their tokens are gone.
+ * Secrets shorter than 16 characters are ignored.
  */
-function getSecret() {
-    const secret = process.env.CONFIG_SECRET;
-    if (!secret || secret.length < 16) return null;
-    return crypto.createHash('sha256').update(secret).digest();
+const keyRingCache = new Map(); // prefix -> { source, keys }
+function loadKeyRing(name) {
+    const list = process.env[`${name}S`] || '';
+    const single = process.env[name] || '';
+    const singleId = process.env[`${name}_ID`] || '';
+    const source = `${list}|${single}|${singleId}`;
+    const cached = keyRingCache.get(name);
+    if (cached && cached.source === source) return cached.keys;
+    const entries = list.split(',').map(e => e.trim()).filter(Boolean).map((e) => {
+        const sep = e.indexOf(':');
+        return sep > 0 ? { kid: e.slice(0, sep), secret: e.slice(sep + 1) } : null;
+    }).filter(Boolean);
+    if (single) entries.push({ kid: singleId || 'k0', secret: single });
+    const keys = [];
+    for (const { kid, secret } of entries) {
+        if (!/^[A-Za-z0-9_-]{1,16}$/.test(kid) || secret.length < 16 || keys.some(k => k.kid === kid)) {
+            console.warn(`[CRYPTO] Ignoring ${name} "${kid}" (invalid id, duplicate or secret too short)`);
+            continue;
+        }
+        keys.push({ kid, secret, key: crypto.createHash('sha256').update(secret).digest() });
+    }
+    keyRingCache.set(name, { source, keys });
+    return keys;
+}
+
+// Key ring for encrypted tokens (CONFIG_SECRETS / CONFIG_SECRET)
+function getKeyRing() {
+    return loadKeyRing('CONFIG_SECRET');
+}
+
+// Key ring for signed tokens: TOKEN_SIGNING_SECRETS / TOKEN_SIGNING_SECRET, or the config secrets.
+// The HMAC key is derived from the secret, never the AES key itself
+function getSigningKeys() {
+    const own = loadKeyRing('TOKEN_SIGNING_SECRET');
+    return (own.length ? own : getKeyRing()).map(k => ({
+        kid: k.kid,
+        key: crypto.createHmac('sha256', k.key).update('token-signing').digest()
+    }));
+}
+
+function isEncryptionEnabled() {
+    return getKeyRing().length > 0;
 }
 
 /**
- * Encrypt JSON string with AES-256-GCM (iv(12) + tag(16) + ciphertext) -> base64 prefixed with enc:
+ * Encrypt JSON string with AES-256-GCM (iv(12) + tag(16) + ciphertext) with the current key
+ * -> enc:<kid>:<base64url> (URL safe, usable as a path segment)
  */
 function encryptConfig(jsonStr) {
-    const key = getSecret();
-    if (!key) return null;
+    const [current] = getKeyRing();
+    if (!current) return null;
     const iv = crypto.randomBytes(12);
-    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
     const ciphertext = Buffer.concat([cipher.update(jsonStr, 'utf8'), cipher.final()]);
     const tag = cipher.getAuthTag();
     const payload = Buffer.concat([iv, tag, ciphertext]);
-    return 'enc:' + payload.toString('base64');
+    return `enc:${current.kid}:${payload.toString('base64url')}`;
 }
 
-/**
- * Decrypt enc:<base64> token
- */
-function decryptConfig(token) {
-    if (!token.startsWith('enc:')) throw new Error('Not encrypted');
-    const key = getSecret();
-    if (!key) throw new Error('Encryption disabled');
-    const b64 = token.slice(4);
-    const buf = Buffer.from(b64, 'base64');
-    if (buf.length < 12 + 16 + 1) throw new Error('Bad payload');
+function decryptWith(key, buf) {
     const iv = buf.subarray(0, 12);
     const tag = buf.subarray(12, 28);
     const ciphertext = buf.subarray(28);
     const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
     decipher.setAuthTag(tag);
-    const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Decrypt enc:<kid>:<base64url> token, or a legacy enc:<base64> token (no key id: every key is tried)
+ */
+function decryptConfig(token) {
+    if (!token.startsWith('enc:')) throw new Error('Not encrypted');
+    const keys = getKeyRing();
+    if (!keys.length) throw new Error('Encryption disabled');
+    const body = token.slice(4);
+    const sep = body.indexOf(':');
+    const kid = sep === -1 ? null : body.slice(0, sep);
+    // Buffer base64 decoding accepts both the standard and the URL safe alphabet
+    const buf = Buffer.from(sep === -1 ? body : body.slice(sep + 1), 'base64');
+    if (buf.length < 12 + 16 + 1) throw new Error('Bad payload');
+    let plain = null;
+    if (kid !== null) {
+        const entry = keys.find(k => k.kid === kid);
+        if (!entry) throw new Error('Unknown key id');
+        plain = decryptWith(entry.key, buf);
+    } else {
+        for (const { key } of keys) {
+            try { plain = decryptWith(key, buf); break; } catch { /* next key */ }
+        }
+        if (!plain) throw new Error('Bad payload');
+    }
     return JSON.parse(plain.toString('utf8'));
 }
 
 /**
- * Decode plain (possibly base64url) token and parse JSON.
+ * Opaque digest for cache / Redis key names. Keyed with CACHE_KEY_SECRET (or the current config secret) when set,
+ * so a key name cannot be used to confirm guessed credentials. Set CACHE_KEY_SECRET to keep cache keys
+ * stable across config secret rotations.
+ */
+function keyDigest(value) {
+    const secret = digestSecret();
+    const h = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+    return h.update(String(value)).digest('hex');
+}
+
+function digestSecret() {
+    return process.env.CACHE_KEY_SECRET || getKeyRing()[0]?.secret || null;
+}
+
+/**
+ * Whether keyDigest is keyed with a server secret (otherwise anyone can compute it).
+ */
+function isDigestKeyed() {
+    return !!digestSecret();
+}
+
+function isSigningEnabled() {
+    return getSigningKeys().length > 0;
+}
+
+function signature(key, body) {
+    return crypto.createHmac('sha256', key).update(body).digest('base64url');
+}
+
+/**
+ * Signed plain token: sig:<kid>:<base64url payload>.<base64url HMAC-SHA256>
+ * Payload { c: config, jti: token id (revocation), exp?: expiry in seconds }. Readable, but any edit breaks the signature.
+ * @param {object} config
+ * @param {object} [opts]
+ * @param {number} [opts.expiresAt]  ms timestamp
+ */
+function signConfig(config, { expiresAt } = {}) {
+    const [current] = getSigningKeys();
+    if (!current) return null;
+    const payload = { c: config, jti: crypto.randomBytes(9).toString('base64url') };
+    if (expiresAt) payload.exp = Math.floor(expiresAt / 1000);
+    const body = `sig:${current.kid}:${Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url')}`;
+    return `${body}.${signature(current.key, body)}`;
+}
+
+function verifySignedToken(token) {
+    const dot = token.lastIndexOf('.');
+    const sep = token.indexOf(':', 4);
+    if (dot === -1 || sep === -1 || sep > dot) throw new Error('Bad signed token');
+    const body = token.slice(0, dot);
+    const entry = getSigningKeys().find(k => k.kid === token.slice(4, sep));
+    if (!entry) throw new Error('Unknown key id');
+    const expected = Buffer.from(signature(entry.key, body));
+    const actual = Buffer.from(token.slice(dot + 1));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) throw new Error('Bad signature');
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body.slice(sep + 1), 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Bad signed token');
+    }
+    if (payload.exp && payload.exp * 1000 < Date.now()) throw Object.assign(new Error('Token expired'), { status: 401 });
+    return payload;
+}
+
+/**
+ * Unsigned, unencrypted tokens can be edited by anyone (e.g. to point xtreamUrl at another panel).
+ * Refused as soon as a signing or encryption secret is configured, unless ALLOW_LEGACY_TOKENS=true
+ * (opt-in while installed addons migrate); accepted on a server without any secret.
+ */
+function legacyTokensAllowed() {
+    const flag = (process.env.ALLOW_LEGACY_TOKENS || '').toLowerCase();
+    if (flag) return flag !== 'false';
+    return !isSigningEnabled() && !isEncryptionEnabled();
+}
+
+/**
+ * Parse any token format. Returns { config, kind: 'encrypted' | 'signed' | 'legacy', jti, exp }.
  * Accepts:
- *  - enc:<base64> encrypted
- *  - base64 (with + / =)
- *  - base64url ( - _ no padding)
+ *  - enc:<kid>:<base64url> / enc:<base64> encrypted
+ *  - sig:<kid>:<payload>.<signature> signed
+ *  - base64 (with + / =) or base64url ( - _ no padding), if legacy tokens are allowed
  */
-function tryParseConfigToken(token) {
+function parseConfigToken(token) {
     if (!token) throw new Error('Empty token');
-    if (token.startsWith('enc:')) return decryptConfig(token);
+    if (token.startsWith('enc:')) return { config: decryptConfig(token), kind: 'encrypted', jti: null, exp: null };
+    if (token.startsWith('sig:')) {
+        const payload = verifySignedToken(token);
+        if (!payload.c || typeof payload.c !== 'object') throw new Error('Invalid JSON config');
+        return { config: payload.c, kind: 'signed', jti: payload.jti || null, exp: payload.exp || null };
+    }
+    if (!legacyTokensAllowed()) throw Object.assign(new Error('Unsigned tokens are not accepted'), { status: 401 });
+    return { config: decodePlainToken(token), kind: 'legacy', jti: null, exp: null };
+}
 
+/**
+ * Decode plain (possibly base64url) token and parse JSON.
+ */
+function decodePlainToken(token) {
     // Normalize base64url -> base64
     let base = token.replace(/-/g, '+').replace(/_/g, '/');
     // Re-pad
@@ -74,8 +223,22 @@ function tryParseConfigToken(token) {
     }
 }
 
+/**
+ * Config of a token (see parseConfigToken)
+ */
+function tryParseConfigToken(token) {
+    return parseConfigToken(token).config;
+}
+
 module.exports = {
     encryptConfig,
     decryptConfig,
-    tryParseConfigToken
+    isEncryptionEnabled,
+    signConfig,
+    isSigningEnabled,
+    parseConfigToken,
+    tryParseConfigToken,
+    keyDigest,
+    isDigestKeyed,
+    legacyTokensAllowed
 };
\ No newline at end of file
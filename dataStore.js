@@ -0,0 +1,132 @@
+// dataStore.js
+// Shared Redis tier for provider data, so any replica can rebuild an addon instance without calling the panel.
+// Layout for a data key <base> (one snapshot "version" per successful refresh):
+//   <base>:meta                      JSON { format, version, lastUpdate, savedAt, chunks, counts }
+//   <base>:v<version>:<list>:<n>     gzip JSON chunk of channels / movies / series / episodes
+//   <base>:v<version>:epg            hash channelId -> gzip JSON programmes (one field per channel)
+// Chunks are written first and `meta` last, so readers never see a half-written version.
+// The previous version is kept for a short grace period for readers that already fetched the old meta.
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FORMAT = 1;
+const CHUNK_SIZE = parseInt(process.env.REDIS_CHUNK_SIZE || '2000', 10);
+const OLD_VERSION_GRACE_MS = 60 * 1000;
+const LISTS = ['channels', 'movies', 'series', 'episodes'];
+
+async function pack(value) {
+    return gzip(Buffer.from(JSON.stringify(value)), { level: 6 });
+}
+
+async function unpack(buf) {
+    return JSON.parse((await gunzip(buf)).toString('utf8'));
+}
+
+function versionKeys(base, meta) {
+    const keys = [];
+    for (const list of LISTS) {
+        for (let i = 0; i < (meta.chunks[list] || 0); i++) keys.push(`${base}:v${meta.version}:${list}:${i}`);
+    }
+    keys.push(`${base}:v${meta.version}:epg`);
+    return keys;
+}
+
+/**
+ * Read the metadata of the latest snapshot (no data), or null.
+ */
+async function loadMeta(redis, base) {
+    try {
+        const raw = await redis.get(`${base}:meta`);
+        const meta = raw ? JSON.parse(raw) : null;
+        return meta && meta.format === FORMAT ? meta : null;
+    } catch { return null; }
+}
+
+/**
+ * Write a snapshot.
+ * @param {object} redis  ioredis client
+ * @param {string} base   data key prefix
+ * @param {object} data   { channels, movies, series, epgData, directSeriesEpisodeIndex (entries), lastUpdate }
+ * @param {number} ttl    ms
+ */
+async function saveSnapshot(redis, base, data, ttl) {
+    const previous = await loadMeta(redis, base);
+    const version = Math.max(data.lastUpdate || Date.now(), previous ? previous.version + 1 : 0);
+    const lists = {
+        channels: data.channels || [],
+        movies: data.movies || [],
+        series: data.series || [],
+        episodes: data.directSeriesEpisodeIndex || []
+    };
+
+    const meta = { format: FORMAT, version, lastUpdate: data.lastUpdate || 0, savedAt: Date.now(), chunks: {}, counts: {} };
+    const pipeline = redis.pipeline();
+    for (const list of LISTS) {
+        const items = lists[list];
+        meta.counts[list] = items.length;
+        meta.chunks[list] = Math.ceil(items.length / CHUNK_SIZE);
+        for (let i = 0; i < meta.chunks[list]; i++) {
+            const chunk = await pack(items.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE));
+            pipeline.set(`${base}:v${version}:${list}:${i}`, chunk, 'PX', ttl);
+        }
+    }
+
+    const epgKey = `${base}:v${version}:epg`;
+    const channelIds = Object.keys(data.epgData || {});
+    meta.counts.epgChannels = channelIds.length;
+    for (let i = 0; i < channelIds.length; i += 500) {
+        const fields = [];
+        for (const id of channelIds.slice(i, i + 500)) fields.push(id, await pack(data.epgData[id]));
+        pipeline.hset(epgKey, ...fields);
+    }
+    if (channelIds.length) pipeline.pexpire(epgKey, ttl);
+    await pipeline.exec();
+
+    // Publish the new version, then let the previous one expire shortly
+    await redis.set(`${base}:meta`, JSON.stringify(meta), 'PX', ttl);
+    if (previous && previous.version !== version) {
+        const cleanup = redis.pipeline();
+        for (const key of versionKeys(base, previous)) cleanup.pexpire(key, OLD_VERSION_GRACE_MS);
+        await cleanup.exec();
+    }
+    return meta;
+}
+
+/**
+ * Read the latest snapshot back into the shape given to saveSnapshot, or null if absent / incomplete.
+ */
+async function loadSnapshot(redis, base) {
+    const meta = await loadMeta(redis, base);
+    if (!meta) return null;
+    try {
+        const out = { lastUpdate: meta.lastUpdate, version: meta.version };
+        for (const list of LISTS) {
+            const keys = Array.from({ length: meta.chunks[list] || 0 }, (_, i) => `${base}:v${meta.version}:${list}:${i}`);
+            const bufs = keys.length ? await redis.mgetBuffer(...keys) : [];
+            if (bufs.some(b => !b)) return null; // version partially expired
+            out[list] = (await Promise.all(bufs.map(unpack))).flat();
+        }
+        out.epgData = {};
+        if (meta.counts.epgChannels) {
+            const fields = await redis.hgetallBuffer(`${base}:v${meta.version}:epg`);
+            for (const [id, buf] of Object.entries(fields)) out.epgData[id] = await unpack(buf);
+        }
+        out.directSeriesEpisodeIndex = out.episodes;
+        delete out.episodes;
+        return out;
+    } catch (e) {
+        console.error('[REDIS] Snapshot read failed:', e.message);
+        return null;
+    }
+}
+
+module.exports = {
+    pack,
+    unpack,
+    loadMeta,
+    saveSnapshot,
+    loadSnapshot
+};
@@ -0,0 +1,146 @@
+// diskStore.js
+// Optional on-disk tier for provider data (SNAPSHOT_DIR), so a restart without Redis does not re-download every panel.
+// One gzip NDJSON file per data key: <dir>/<key>.snap
+//   line 1   header { format, savedAt, expiresAt, lastUpdate, counts }
+//   then     { k: 'channels' | 'movies' | 'series' | 'episodes', v: [chunk] }  and  { k: 'epg', id, v: [programmes] }
+// Files are streamed in both directions (no single giant JSON string) and written to a temp file then
+// renamed, so a crash mid-write never leaves a truncated snapshot. Files contain stream URLs with
+// credentials: they are created with mode 0600.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const FORMAT = 1;
+const CHUNK_SIZE = 2000;
+const LISTS = ['channels', 'movies', 'series', 'episodes'];
+const SWEEP_INTERVAL_MS = 3600 * 1000;
+
+let lastSweep = 0;
+
+function snapshotPath(dir, key) {
+    // Keys are opaque digests; anything else is made filesystem-safe
+    return path.join(dir, `${String(key).replace(/[^a-zA-Z0-9_-]/g, '_')}.snap`);
+}
+
+function* lines(data, header) {
+    yield JSON.stringify(header) + '\n';
+    const lists = {
+        channels: data.channels || [],
+        movies: data.movies || [],
+        series: data.series || [],
+        episodes: data.directSeriesEpisodeIndex || []
+    };
+    for (const k of LISTS) {
+        for (let i = 0; i < lists[k].length; i += CHUNK_SIZE) {
+            yield JSON.stringify({ k, v: lists[k].slice(i, i + CHUNK_SIZE) }) + '\n';
+        }
+    }
+    for (const [id, v] of Object.entries(data.epgData || {})) yield JSON.stringify({ k: 'epg', id, v }) + '\n';
+}
+
+/**
+ * Write a snapshot atomically.
+ * @param {string} dir
+ * @param {string} key   data key (opaque digest)
+ * @param {object} data  { channels, movies, series, epgData, directSeriesEpisodeIndex (entries), lastUpdate }
+ * @param {number} ttl   ms
+ */
+async function saveSnapshot(dir, key, data, ttl) {
+    await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+    const file = snapshotPath(dir, key);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const now = Date.now();
+    const header = {
+        format: FORMAT,
+        savedAt: now,
+        expiresAt: ttl ? now + ttl : null,
+        lastUpdate: data.lastUpdate || 0,
+        counts: {
+            channels: (data.channels || []).length,
+            movies: (data.movies || []).length,
+            series: (data.series || []).length,
+            epgChannels: Object.keys(data.epgData || {}).length
+        }
+    };
+    try {
+        await pipeline(
+            Readable.from(lines(data, header)),
+            zlib.createGzip({ level: 6 }),
+            fs.createWriteStream(tmp, { mode: 0o600 })
+        );
+        await fs.promises.rename(tmp, file);
+    } catch (e) {
+        await fs.promises.unlink(tmp).catch(() => {});
+        throw e;
+    }
+    sweepExpired(dir, ttl);
+    return header;
+}
+
+/**
+ * Read a snapshot back into the shape given to saveSnapshot, or null if missing, expired or from another format.
+ */
+async function loadSnapshot(dir, key) {
+    const file = snapshotPath(dir, key);
+    let input;
+    try {
+        input = fs.createReadStream(file);
+        await new Promise((resolve, reject) => input.once('open', resolve).once('error', reject));
+    } catch { return null; }
+
+    const out = { channels: [], movies: [], series: [], episodes: [], epgData: {} };
+    const rl = readline.createInterface({ input: input.pipe(zlib.createGunzip()), crlfDelay: Infinity });
+    let header = null;
+    try {
+        for await (const line of rl) {
+            if (!header) {
+                header = JSON.parse(line);
+                if (header.format !== FORMAT || (header.expiresAt && header.expiresAt < Date.now())) {
+                    rl.close();
+                    input.destroy();
+                    await fs.promises.unlink(file).catch(() => {});
+                    return null;
+                }
+                continue;
+            }
+            const rec = JSON.parse(line);
+            if (rec.k === 'epg') out.epgData[rec.id] = rec.v;
+            else if (out[rec.k]) for (const v of rec.v) out[rec.k].push(v);
+        }
+    } catch (e) {
+        // Corrupt file (disk full, manual edit...): drop it so the next refresh rewrites it
+        console.error('[DISK] Snapshot read failed:', e.message);
+        input.destroy();
+        await fs.promises.unlink(file).catch(() => {});
+        return null;
+    }
+    if (!header) return null;
+    const { episodes, ...data } = out;
+    return { ...data, directSeriesEpisodeIndex: episodes, lastUpdate: header.lastUpdate };
+}
+
+/**
+ * Remove snapshot (and orphan temp) files older than ttl. Runs at most once per hour, in the background.
+ */
+function sweepExpired(dir, ttl) {
+    const now = Date.now();
+    if (!ttl || now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    (async () => {
+        for (const name of await fs.promises.readdir(dir)) {
+            if (!name.endsWith('.snap') && !name.endsWith('.tmp')) continue;
+            const file = path.join(dir, name);
+            const stat = await fs.promises.stat(file).catch(() => null);
+            if (stat && now - stat.mtimeMs > ttl) await fs.promises.unlink(file).catch(() => {});
+        }
+    })().catch(e => console.error('[DISK] Sweep failed:', e.message));
+}
+
+module.exports = {
+    saveSnapshot,
+    loadSnapshot
+};
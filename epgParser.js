@@ -0,0 +1,210 @@
+// epgParser.js
+// Streaming XMLTV parser used by M3UEPGAddon.parseEPG.
+// - Accepts a string, a Buffer or a readable stream (node-fetch response body)
+// - Transparently gunzips .xml.gz sources (detected from the gzip magic bytes)
+// - Only keeps programmes overlapping a time window around "now" so multi-hundred MB guides
+//   never have to be held in memory as a single string
+// Output shape: { [channelId]: [ { start, stop, title, subTitle, desc, categories, icon, episodeNum, season, episode } ] }
+const sax = require('sax');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const DEFAULT_PAST_HOURS = 6;
+const DEFAULT_FUTURE_HOURS = 48;
+
+const TEXT_FIELDS = {
+    'title': 'title',
+    'sub-title': 'subTitle',
+    'desc': 'desc',
+    'category': 'category',
+    'episode-num': 'episodeNum'
+};
+
+/**
+ * Parse an XMLTV timestamp ("YYYYMMDDhhmmss +hhmm") to epoch ms.
+ * Missing offset means UTC (XMLTV spec). Returns NaN when unparseable.
+ */
+function parseXmltvTime(s) {
+    if (!s) return NaN;
+    const m = String(s).trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*(?:([+-])(\d{2}):?(\d{2}))?/);
+    if (!m) return Date.parse(s);
+    const utc = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+    if (!m[7]) return utc;
+    const offsetMin = (parseInt(m[8], 10) * 60 + parseInt(m[9], 10)) * (m[7] === '-' ? -1 : 1);
+    return utc - offsetMin * 60000;
+}
+
+/**
+ * Decode xmltv_ns ("S.E.P", zero-based) or onscreen ("S01E02") episode numbers.
+ */
+function parseEpisodeNum(value, system) {
+    if (!value) return null;
+    if (system === 'xmltv_ns') {
+        const parts = value.split('.');
+        const season = parseInt(parts[0], 10);
+        const episode = parseInt(parts[1], 10);
+        if (Number.isNaN(season) && Number.isNaN(episode)) return null;
+        return {
+            season: Number.isNaN(season) ? null : season + 1,
+            episode: Number.isNaN(episode) ? null : episode + 1
+        };
+    }
+    const m = value.match(/S(\d{1,3})\s*E(\d{1,4})/i);
+    if (m) return { season: parseInt(m[1], 10), episode: parseInt(m[2], 10) };
+    return null;
+}
+
+/**
+ * Yield decoded Buffers from the source, gunzipping on the fly when the payload is gzip.
+ */
+async function* decodedChunks(source) {
+    if (typeof source === 'string') {
+        yield Buffer.from(source, 'utf8');
+        return;
+    }
+    if (Buffer.isBuffer(source)) {
+        yield (source[0] === 0x1f && source[1] === 0x8b) ? zlib.gunzipSync(source) : source;
+        return;
+    }
+
+    const it = source[Symbol.asyncIterator]();
+    const first = await it.next();
+    if (first.done) return;
+    const head = Buffer.from(first.value);
+    async function* rest() {
+        yield head;
+        for (;;) {
+            const n = await it.next();
+            if (n.done) return;
+            yield n.value;
+        }
+    }
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+        yield* Readable.from(rest()).pipe(zlib.createGunzip());
+    } else {
+        yield* rest();
+    }
+}
+
+/**
+ * Stream-parse XMLTV content.
+ * @param {string|Buffer|Readable} source
+ * @param {object} [opts]
+ * @param {number} [opts.now]          Reference time (ms), defaults to Date.now()
+ * @param {number} [opts.pastHours]    Keep programmes ending after now - pastHours
+ * @param {number} [opts.futureHours]  Keep programmes starting before now + futureHours
+ * @param {number} [opts.offsetHours]  Correction applied to feed times before window filtering (broken feeds)
+ * @returns {Promise<object>} { channelId: [programmes sorted by start] }
+ */
+async function parseEPG(source, opts = {}) {
+    const now = opts.now || Date.now();
+    const pastHours = Number.isFinite(opts.pastHours) ? opts.pastHours : DEFAULT_PAST_HOURS;
+    const futureHours = Number.isFinite(opts.futureHours) ? opts.futureHours : DEFAULT_FUTURE_HOURS;
+    const windowStart = now - pastHours * 3600000;
+    const windowEnd = now + futureHours * 3600000;
+    const offsetMs = (Number.isFinite(opts.offsetHours) ? opts.offsetHours : 0) * 3600000;
+
+    const epg = {};
+    let current = null;      // programme being built
+    let field = null;        // text field currently open inside <programme>
+    let fieldAttrs = null;
+    let text = '';
+
+    const parser = sax.parser(false, { lowercase: true, trim: false });
+
+    parser.onerror = () => {
+        // Real-world guides are frequently malformed (stray &, bad entities): skip and continue
+        parser.error = null;
+        parser.resume();
+    };
+
+    parser.onopentag = (node) => {
+        if (node.name === 'programme') {
+            const start = parseXmltvTime(node.attributes.start) + offsetMs;
+            const stop = parseXmltvTime(node.attributes.stop) + offsetMs;
+            const channel = node.attributes.channel;
+            if (!channel || Number.isNaN(start)) { current = null; return; }
+            const end = Number.isNaN(stop) ? start : stop;
+            if (end < windowStart || start > windowEnd) { current = null; return; }
+            current = {
+                channel,
+                start: node.attributes.start,
+                stop: node.attributes.stop || node.attributes.start,
+                title: '',
+                categories: []
+            };
+            return;
+        }
+        if (!current) return;
+        if (node.name === 'icon') {
+            if (!current.icon && node.attributes.src) current.icon = node.attributes.src;
+            return;
+        }
+        if (TEXT_FIELDS[node.name]) {
+            field = node.name;
+            fieldAttrs = node.attributes;
+            text = '';
+        }
+    };
+
+    const ontext = (t) => { if (field) text += t; };
+    parser.ontext = ontext;
+    parser.oncdata = ontext;
+
+    parser.onclosetag = (name) => {
+        if (!current) return;
+        if (name === 'programme') {
+            const { channel, ...programme } = current;
+            if (!programme.categories.length) delete programme.categories;
+            (epg[channel] || (epg[channel] = [])).push(programme);
+            current = null;
+            field = null;
+            return;
+        }
+        if (name !== field) return;
+        const value = text.trim();
+        const key = TEXT_FIELDS[field];
+        if (value) {
+            if (key === 'category') {
+                if (!current.categories.includes(value)) current.categories.push(value);
+            } else if (key === 'episodeNum') {
+                const se = parseEpisodeNum(value, fieldAttrs && fieldAttrs.system);
+                if (se && current.season == null) {
+                    current.season = se.season;
+                    current.episode = se.episode;
+                }
+                if (!current.episodeNum || (fieldAttrs && fieldAttrs.system === 'onscreen')) current.episodeNum = value;
+            } else if (!current[key]) {
+                // First occurrence wins (multi-language guides repeat title/desc per lang)
+                current[key] = value;
+            }
+        }
+        field = null;
+        fieldAttrs = null;
+        text = '';
+    };
+
+    const decoder = new StringDecoder('utf8');
+    let first = true;
+    for await (const chunk of decodedChunks(source)) {
+        let str = decoder.write(chunk);
+        if (first && str) {
+            if (str.charCodeAt(0) === 0xFEFF) str = str.slice(1);
+            first = false;
+        }
+        parser.write(str);
+    }
+    parser.write(decoder.end());
+    parser.close();
+
+    for (const channel of Object.keys(epg)) {
+        epg[channel].sort((a, b) => parseXmltvTime(a.start) - parseXmltvTime(b.start));
+    }
+    return epg;
+}
+
+module.exports = {
+    parseEPG,
+    parseXmltvTime
+};
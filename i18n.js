@@ -0,0 +1,110 @@
+// i18n.js
+// User-facing strings generated by the addon (descriptions, schedule labels, catalog names).
+// Lookup chain for a key: requested language -> English -> French (original strings).
+// Languages are BCP-47 tags as used by TMDB ("fr-FR", "en-US", "es-ES"); tables are keyed by primary subtag.
+// Strings follow the metadata language, so tokens without a language get DEFAULT_LANGUAGE (French) like their
+// original descriptions; only their main catalog names, English from the start, stay in LEGACY_CATALOG_LANG.
+
+const DEFAULT_LANGUAGE = 'fr-FR';
+const LEGACY_CATALOG_LANG = 'en';
+const FALLBACK_CHAIN = ['en', 'fr'];
+
+const STRINGS = {
+    fr: {
+        liveNow: '📺 En direct: {title} ({start} - {stop}) • {progress}%',
+        liveChannel: '📺 Chaîne TV en direct',
+        clickForInfo: "Cliquez pour plus d'infos...",
+        scheduleNow: '▶️ Maintenant',
+        scheduleNext: '⏭️ Ensuite',
+        scheduleLater: '🕒 Plus tard',
+        catalogLive: '{name} Live',
+        catalogMovies: '{name} Films',
+        catalogSeries: '{name} Séries',
+        onNowSport: '⚽ Sport en direct',
+        onNowMovies: '🎬 Films en direct',
+        onNowNews: '📰 Infos en direct',
+        onNowKids: '🧸 Jeunesse en direct',
+        typeMovies: 'Films',
+        typeSeries: 'Séries',
+        sortRecent: '🆕 {type} récemment ajoutés',
+        sortRating: '⭐ {type} les mieux notés',
+        sortAz: '🔤 {type} de A à Z',
+        sortYear: '📅 {type} par année'
+    },
+    en: {
+        liveNow: '📺 Live: {title} ({start} - {stop}) • {progress}%',
+        liveChannel: '📺 Live TV channel',
+        clickForInfo: 'Click for more info...',
+        scheduleNow: '▶️ Now',
+        scheduleNext: '⏭️ Next',
+        scheduleLater: '🕒 Later',
+        catalogLive: '{name} Live',
+        catalogMovies: '{name} Movies',
+        catalogSeries: '{name} Series',
+        onNowSport: '⚽ Sport on now',
+        onNowMovies: '🎬 Movies on now',
+        onNowNews: '📰 News on now',
+        onNowKids: '🧸 Kids on now',
+        typeMovies: 'Movies',
+        typeSeries: 'Series',
+        sortRecent: '🆕 Recently added {type}',
+        sortRating: '⭐ Top rated {type}',
+        sortAz: '🔤 {type} A–Z',
+        sortYear: '📅 {type} by year'
+    },
+    es: {
+        liveNow: '📺 En directo: {title} ({start} - {stop}) • {progress}%',
+        liveChannel: '📺 Canal de TV en directo',
+        clickForInfo: 'Haz clic para más información...',
+        scheduleNow: '▶️ Ahora',
+        scheduleNext: '⏭️ A continuación',
+        scheduleLater: '🕒 Más tarde',
+        catalogLive: '{name} En directo',
+        catalogMovies: '{name} Películas',
+        catalogSeries: '{name} Series',
+        onNowSport: '⚽ Deportes en directo',
+        onNowMovies: '🎬 Películas en emisión',
+        onNowNews: '📰 Noticias en directo',
+        onNowKids: '🧸 Infantil en emisión',
+        typeMovies: 'Películas',
+        typeSeries: 'Series',
+        sortRecent: '🆕 {type} añadidas recientemente',
+        sortRating: '⭐ {type} mejor valoradas',
+        sortAz: '🔤 {type} de la A a la Z',
+        sortYear: '📅 {type} por año'
+    }
+};
+
+/**
+ * Normalize a language tag and derive its parts.
+ * "es" -> { language: "es-ES", lang: "es", region: "ES" }; region can be overridden.
+ */
+function resolveLanguage(tag, regionOverride) {
+    const raw = (tag || DEFAULT_LANGUAGE).trim().replace('_', '-');
+    const [primary, sub] = raw.split('-');
+    const lang = (primary || 'fr').toLowerCase();
+    const region = (regionOverride || sub || lang).toUpperCase();
+    return { language: `${lang}-${sub ? sub.toUpperCase() : region}`, lang, region };
+}
+
+/**
+ * Translate a key with {placeholders}; walks the fallback chain when a translation is missing.
+ */
+function t(lang, key, vars = {}) {
+    const chain = [lang, ...FALLBACK_CHAIN];
+    let template = key;
+    for (const l of chain) {
+        if (STRINGS[l] && STRINGS[l][key] !== undefined) {
+            template = STRINGS[l][key];
+            break;
+        }
+    }
+    return template.replace(/\{(\w+)\}/g, (all, k) => (vars[k] !== undefined ? vars[k] : all));
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LEGACY_CATALOG_LANG,
+    resolveLanguage,
+    t
+};
@@ -1,63 +1,230 @@
-// Minimal LRU + TTL cache used when Redis is not configured
+// LRU + TTL cache used when Redis is not configured (and as the local tier in front of Redis).
+// - Expiry is checked lazily on access, by trimming expired entries from the LRU end on writes, and by a
+//   full sweep at most every `sweepIntervalMs` (entries expired behind a live one would otherwise keep
+//   counting against the memory budget)
+// - Optional memory budget: each entry gets an approximate byte size (`sizeOf`, default estimateSize)
+//   and least recently used entries are evicted until the total fits in `maxBytes`
+// - `onEvict(key, value)` is called whenever a value leaves the cache (eviction, expiry, delete, replacement)
+// - stats() reports hits / misses / evictions for monitoring
+const SAMPLE_THRESHOLD = 2000;
+const SAMPLE_SIZE = 500;
+
 class LRUCache {
-    constructor({ max = 100, ttl = 6 * 3600 * 1000 } = {}) {
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.max=100]       maximum number of entries
+     * @param {number} [opts.ttl]           default time to live in ms (0 = no expiry)
+     * @param {number} [opts.maxBytes]      memory budget in bytes (0 = entry count only)
+     * @param {function} [opts.sizeOf]      (value, key) -> approximate bytes; defaults to LRUCache.estimateSize
+     * @param {function} [opts.onEvict]     (key, value) -> void, called when a value leaves the cache
+     * @param {number} [opts.sweepIntervalMs=60000]  minimum delay between two full expiry sweeps
+     */
+    constructor({ max = 100, ttl = 6 * 3600 * 1000, maxBytes = 0, sizeOf = null, onEvict = null, sweepIntervalMs = 60 * 1000 } = {}) {
         this.max = max;
         this.ttl = ttl;
-        this.map = new Map(); // key -> { value, expires }
+        this.maxBytes = maxBytes;
+        this.sizeOf = sizeOf || (maxBytes ? (value) => LRUCache.estimateSize(value) : null);
+        this.onEvict = onEvict;
+        this.sweepIntervalMs = sweepIntervalMs;
+        this.lastSweep = this._now();
+        this.map = new Map(); // key -> { value, expires, size }, oldest first
+        this.bytes = 0;
+        this.counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, rejected: 0 };
     }
 
     _now() { return Date.now(); }
 
-    _pruneExpired() {
+    _remove(key, entry) {
+        this.map.delete(key);
+        this.bytes -= entry.size;
+        if (this.onEvict) {
+            try { this.onEvict(key, entry.value); } catch (e) { console.error('[LRU] onEvict failed:', e.message); }
+        }
+    }
+
+    // Full pass, at most once per sweepIntervalMs
+    _sweepExpired() {
         const now = this._now();
-        for (const [k, v] of this.map.entries()) {
+        if (now - this.lastSweep < this.sweepIntervalMs) return;
+        this.lastSweep = now;
+        for (const [k, v] of this.map) {
             if (v.expires && v.expires < now) {
-                this.map.delete(k);
+                this._remove(k, v);
+                this.counters.expirations++;
             }
         }
     }
 
-    get(key) {
-        this._pruneExpired();
-        if (!this.map.has(key)) return undefined;
+    // Drop expired entries from the LRU end only: amortized O(1) instead of a full scan
+    _trimExpired(limit = 8) {
+        const now = this._now();
+        for (const [k, v] of this.map) {
+            if (limit-- <= 0 || !v.expires || v.expires >= now) break;
+            this._remove(k, v);
+            this.counters.expirations++;
+        }
+    }
+
+    _live(key) {
         const entry = this.map.get(key);
+        if (!entry) return undefined;
         if (entry.expires && entry.expires < this._now()) {
-            this.map.delete(key);
+            this._remove(key, entry);
+            this.counters.expirations++;
             return undefined;
         }
+        return entry;
+    }
+
+    get(key) {
+        const entry = this._live(key);
+        if (!entry) {
+            this.counters.misses++;
+            return undefined;
+        }
+        this.counters.hits++;
         // Promote (LRU)
         this.map.delete(key);
         this.map.set(key, entry);
         return entry.value;
     }
 
-    set(key, value) {
-        this._pruneExpired();
-        if (this.map.has(key)) this.map.delete(key);
-        this.map.set(key, { value, expires: this.ttl ? this._now() + this.ttl : null });
-        // Evict LRU
-        if (this.map.size > this.max) {
-            const oldestKey = this.map.keys().next().value;
-            this.map.delete(oldestKey);
+    /**
+     * Returns false when the value alone exceeds the memory budget (it is not stored).
+     */
+    set(key, value, ttl = this.ttl) {
+        this._trimExpired();
+        this._sweepExpired();
+        const size = this.sizeOf ? this.sizeOf(value, key) : 0;
+        const existing = this.map.get(key);
+        if (existing) {
+            // Same value stored again: no eviction callback
+            if (existing.value === value) {
+                this.map.delete(key);
+                this.bytes -= existing.size;
+            } else {
+                this._remove(key, existing);
+            }
+        }
+        if (this.maxBytes && size > this.maxBytes) {
+            this.counters.rejected++;
+            return false;
         }
+        this.map.set(key, { value, expires: ttl ? this._now() + ttl : null, size });
+        this.bytes += size;
+        this.counters.sets++;
+        // Evict LRU until both the entry limit and the memory budget are met
+        this._evictOverflow();
+        return true;
     }
 
     delete(key) {
-        this.map.delete(key);
+        const entry = this.map.get(key);
+        if (entry) this._remove(key, entry);
+    }
+
+    /**
+     * Re-measure an entry whose value grew or shrank in place (e.g. refreshed data), then evict to fit
+     * the budget again. `value` guards against resizing an entry that was replaced meanwhile.
+     */
+    resize(key, value) {
+        const entry = this.map.get(key);
+        if (!entry || !this.sizeOf || (value !== undefined && entry.value !== value)) return false;
+        const size = this.sizeOf(entry.value, key);
+        this.bytes += size - entry.size;
+        entry.size = size;
+        if (this.maxBytes && size > this.maxBytes) {
+            this._remove(key, entry);
+            this.counters.rejected++;
+            return false;
+        }
+        this._evictOverflow();
+        return true;
+    }
+
+    _evictOverflow() {
+        while (this.map.size > this.max || (this.maxBytes && this.bytes > this.maxBytes)) {
+            const [oldestKey, oldest] = this.map.entries().next().value;
+            this._remove(oldestKey, oldest);
+            this.counters.evictions++;
+        }
     }
 
     has(key) {
-        return this.get(key) !== undefined;
+        return this._live(key) !== undefined;
     }
 
     keys() {
-        this._pruneExpired();
-        return Array.from(this.map.keys());
+        const now = this._now();
+        return Array.from(this.map.entries()).filter(([, v]) => !v.expires || v.expires >= now).map(([k]) => k);
     }
 
     clear() {
-        this.map.clear();
+        for (const [k, v] of [...this.map]) this._remove(k, v);
+    }
+
+    get size() {
+        return this.map.size;
+    }
+
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            ...this.counters,
+            hitRate: lookups ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : null,
+            entries: this.map.size,
+            maxEntries: this.max,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes || null
+        };
+    }
+
+    /**
+     * Approximate heap size of a JSON-like value (strings, numbers, arrays, plain objects, Maps, Sets, Buffers).
+     * Shared references are counted once; functions count as zero. Large collections (catalogs, guides) are
+     * estimated from an evenly spaced sample so sizing a whole panel stays cheap.
+     */
+    static estimateSize(root) {
+        const seen = new Set();
+        const stack = [root];
+        let bytes = 0;
+        while (stack.length) {
+            const v = stack.pop();
+            switch (typeof v) {
+                case 'string': bytes += 16 + v.length; continue;
+                case 'number': bytes += 8; continue;
+                case 'boolean': bytes += 4; continue;
+                case 'object': break;
+                default: continue;
+            }
+            if (v === null || seen.has(v)) continue;
+            seen.add(v);
+            if (ArrayBuffer.isView(v)) { bytes += 64 + v.byteLength; continue; }
+            let children;
+            if (Array.isArray(v)) {
+                bytes += 16 + v.length * 8;
+                children = v;
+            } else if (v instanceof Map) {
+                bytes += 32 + v.size * 24;
+                children = [...v].flat();
+            } else if (v instanceof Set) {
+                bytes += 32 + v.size * 16;
+                children = [...v];
+            } else {
+                children = Object.values(v);
+                bytes += 24 + children.length * 8;
+            }
+            if (children.length > SAMPLE_THRESHOLD) {
+                const step = children.length / SAMPLE_SIZE;
+                let sampled = 0;
+                for (let i = 0; i < SAMPLE_SIZE; i++) sampled += LRUCache.estimateSize(children[Math.floor(i * step)]);
+                bytes += Math.round(sampled * (children.length / SAMPLE_SIZE));
+                continue;
+            }
+            for (let i = 0; i < children.length; i++) stack.push(children[i]);
+        }
+        return bytes;
     }
 }
 
-module.exports = LRUCache;
\ No newline at end of file
+module.exports = LRUCache;
@@ -0,0 +1,208 @@
+// m3uParser.js
+// Server-side M3U / M3U8 playlist parser used by both providers (via M3UEPGAddon.parseM3U).
+// Understands the extended tags commonly emitted by IPTV panels:
+// - #EXTM3U header attributes (url-tvg / x-tvg-url)
+// - #EXTINF attributes (tvg-id, tvg-name, tvg-logo, tvg-chno, group-title, catchup-*, radio, ...)
+// - #EXTGRP (group fallback when group-title is missing)
+// - #EXTVLCOPT (http-user-agent / http-referrer -> request headers)
+// - #KODIPROP (inputstream.adaptive.* properties)
+// Items are classified as tv / movie / series from their group, name and URL.
+const crypto = require('crypto');
+
+const MOVIE_GROUP_RE = /\b(vod|movies?|films?|cin[ée]ma|pel[ií]culas?|filme)\b/i;
+const SERIES_GROUP_RE = /\b(series?|s[ée]ries|shows?|tv\s?shows?|saisons?|seasons?|serien)\b/i;
+const EPISODE_NAME_RE = /\bS\d{1,2}\s?E\d{1,3}\b|\bSeason\s?\d+.*\bEp(isode)?\s?\d+/i;
+const YEAR_NAME_RE = /[([](19\d{2}|20\d{2})[)\]]/;
+const VOD_EXT_RE = /\.(mp4|mkv|avi|mov|wmv|m4v|flv|webm)(\?.*)?$/i;
+
+function hash(str) {
+    return crypto.createHash('md5').update(str).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parse key="value" pairs. Values may contain commas and spaces; unquoted values end at whitespace.
+ */
+function parseAttributes(str) {
+    const out = {};
+    const r = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s"']+))/g;
+    let m;
+    while ((m = r.exec(str)) !== null) {
+        out[m[1].toLowerCase()] = (m[2] ?? m[3] ?? m[4] ?? '').trim();
+    }
+    return out;
+}
+
+/**
+ * Split the payload of an #EXTINF line into { duration, attrString, name }.
+ * The display name starts after the first comma that is not inside a quoted attribute.
+ */
+function splitExtinf(payload) {
+    let inQuote = null;
+    let commaAt = -1;
+    for (let i = 0; i < payload.length; i++) {
+        const c = payload[i];
+        if (inQuote) {
+            if (c === inQuote) inQuote = null;
+        } else if (c === '"' || c === "'") {
+            inQuote = c;
+        } else if (c === ',') {
+            commaAt = i;
+            break;
+        }
+    }
+    const head = commaAt === -1 ? payload : payload.slice(0, commaAt);
+    const name = commaAt === -1 ? '' : payload.slice(commaAt + 1).trim();
+    const dm = head.match(/^\s*(-?\d+(?:\.\d+)?)/);
+    return {
+        duration: dm ? parseFloat(dm[1]) : -1,
+        attrString: dm ? head.slice(dm[0].length) : head,
+        name
+    };
+}
+
+/**
+ * Classify an entry as tv / movie / series.
+ * Order: explicit panel URL paths, radio flag, group keywords, name patterns, file extension.
+ */
+function classify(entry) {
+    const url = entry.url || '';
+    const group = entry.category || '';
+    const name = entry.name || '';
+
+    if (/\/series\//i.test(url)) return 'series';
+    if (/\/movie\//i.test(url)) return 'movie';
+    if (/\/live\//i.test(url) || entry.radio) return 'tv';
+
+    if (SERIES_GROUP_RE.test(group)) return 'series';
+    if (MOVIE_GROUP_RE.test(group)) return EPISODE_NAME_RE.test(name) ? 'series' : 'movie';
+
+    if (EPISODE_NAME_RE.test(name)) return 'series';
+    if (VOD_EXT_RE.test(url)) return 'movie';
+    if (YEAR_NAME_RE.test(name) && entry.duration > 0) return 'movie';
+    return 'tv';
+}
+
+/**
+ * Turn collected #EXTVLCOPT options into HTTP headers understood by players (behaviorHints.proxyHeaders).
+ */
+function vlcOptionsToHeaders(opts) {
+    const headers = {};
+    if (opts['http-user-agent']) headers['User-Agent'] = opts['http-user-agent'];
+    if (opts['http-referrer'] || opts['http-referer']) headers['Referer'] = opts['http-referrer'] || opts['http-referer'];
+    if (opts['http-origin']) headers['Origin'] = opts['http-origin'];
+    return headers;
+}
+
+/**
+ * Parse playlist text into items: { id, name, type, category, logo, url, attributes, ... }.
+ * Returns an array; header attributes (e.g. url-tvg) are exposed as a non-enumerable `header` property.
+ */
+function parseM3U(content) {
+    const items = [];
+    const header = {};
+    if (!content || typeof content !== 'string') return items;
+    if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1);
+
+    const lines = content.split(/\r?\n/);
+    let current = null;
+    let pendingGroup = null;
+    let vlcOpts = {};
+    let kodiProps = {};
+    const seenIds = new Map();
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#EXTM3U')) {
+            Object.assign(header, parseAttributes(line.slice(7)));
+            continue;
+        }
+        if (line.startsWith('#EXTINF:')) {
+            const { duration, attrString, name } = splitExtinf(line.slice(8));
+            const attributes = parseAttributes(attrString);
+            current = { duration, attributes, name: name || attributes['tvg-name'] || '' };
+            continue;
+        }
+        if (line.startsWith('#EXTGRP:')) {
+            pendingGroup = line.slice(8).trim() || null;
+            continue;
+        }
+        if (line.startsWith('#EXTVLCOPT:')) {
+            const opt = line.slice(11);
+            const eq = opt.indexOf('=');
+            if (eq > 0) vlcOpts[opt.slice(0, eq).trim().toLowerCase()] = opt.slice(eq + 1).trim();
+            continue;
+        }
+        if (line.startsWith('#KODIPROP:')) {
+            const prop = line.slice(10);
+            const eq = prop.indexOf('=');
+            if (eq > 0) kodiProps[prop.slice(0, eq).trim()] = prop.slice(eq + 1).trim();
+            continue;
+        }
+        if (line.startsWith('#')) continue;
+
+        // URL line
+        if (!current) {
+            // Bare URL without #EXTINF: keep it as an unnamed channel
+            current = { duration: -1, attributes: {}, name: line };
+        }
+        const attrs = current.attributes;
+        if (!attrs['group-title'] && pendingGroup) attrs['group-title'] = pendingGroup;
+
+        const entry = {
+            name: current.name || attrs['tvg-name'] || line,
+            url: line,
+            duration: current.duration,
+            category: attrs['group-title'] || '',
+            logo: attrs['tvg-logo'] || attrs['logo'] || undefined,
+            attributes: attrs
+        };
+        if (attrs['tvg-chno']) {
+            const chno = parseInt(attrs['tvg-chno'], 10);
+            if (Number.isFinite(chno)) entry.chno = chno;
+        }
+        if (attrs['radio'] && attrs['radio'].toLowerCase() === 'true') entry.radio = true;
+        if (attrs['catchup'] || attrs['catchup-type'] || attrs['catchup-source'] || attrs['tvg-rec'] || attrs['timeshift']) {
+            entry.catchup = {
+                type: (attrs['catchup'] || attrs['catchup-type'] || 'default').toLowerCase(),
+                source: attrs['catchup-source'] || null,
+                days: parseInt(attrs['catchup-days'] || attrs['tvg-rec'] || attrs['timeshift'] || '0', 10) || 0
+            };
+        }
+        if (Object.keys(vlcOpts).length) {
+            entry.vlcOptions = vlcOpts;
+            entry.headers = vlcOptionsToHeaders(vlcOpts);
+        }
+        if (Object.keys(kodiProps).length) entry.kodiProps = kodiProps;
+
+        entry.type = classify(entry);
+        if (entry.type === 'movie') {
+            const ym = entry.name.match(YEAR_NAME_RE);
+            if (ym) entry.year = parseInt(ym[1], 10);
+            if (attrs['plot']) entry.plot = attrs['plot'];
+        }
+
+        const idPrefix = entry.type === 'tv' ? 'iptv_live_' : entry.type === 'movie' ? 'iptv_vod_' : 'iptv_m3u_ep_';
+        let id = idPrefix + hash(entry.url);
+        // Same URL listed twice (e.g. in two groups): keep ids unique but stable
+        const dup = seenIds.get(id) || 0;
+        seenIds.set(id, dup + 1);
+        if (dup) id += `_${dup}`;
+        entry.id = id;
+
+        items.push(entry);
+        current = null;
+        pendingGroup = null;
+        vlcOpts = {};
+        kodiProps = {};
+    }
+
+    Object.defineProperty(items, 'header', { value: header, enumerable: false });
+    return items;
+}
+
+module.exports = {
+    parseM3U,
+    parseAttributes
+};
@@ -0,0 +1,198 @@
+// parserPool.js
+// Worker thread pool for the CPU heavy steps of a refresh (playlist / guide parsing, search index building),
+// so one tenant's 150 MB playlist does not stall every other tenant's catalog and stream requests.
+// - PARSER_WORKERS threads (0 = parse inline on the main thread, e.g. for debugging)
+// - Bounded queue (PARSER_QUEUE_MAX): extra tasks are rejected and the refresh is retried with backoff
+// - A task running longer than PARSER_TASK_TIMEOUT_MS terminates its worker, which is then replaced
+// - Guides are streamed to the worker chunk by chunk with backpressure instead of being buffered first;
+//   a rejected or failed task destroys its stream so the HTTP connection is released
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parseM3U: parseM3UInline } = require('./m3uParser');
+const { parseEPG: parseEPGInline } = require('./epgParser');
+const SearchIndex = require('./searchIndex');
+
+const POOL_SIZE = parseInt(process.env.PARSER_WORKERS ?? String(Math.max(1, Math.min(2, os.cpus().length - 1))), 10);
+const QUEUE_MAX = parseInt(process.env.PARSER_QUEUE_MAX || '16', 10);
+const TASK_TIMEOUT_MS = parseInt(process.env.PARSER_TASK_TIMEOUT_MS || (5 * 60 * 1000).toString(), 10);
+const MAX_CHUNKS_IN_FLIGHT = 8;
+
+class ParserPool {
+    constructor({ size = POOL_SIZE, queueMax = QUEUE_MAX, taskTimeoutMs = TASK_TIMEOUT_MS } = {}) {
+        this.size = size;
+        this.queueMax = queueMax;
+        this.taskTimeoutMs = taskTimeoutMs;
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.counters = { completed: 0, failed: 0, rejected: 0, restarts: 0 };
+    }
+
+    /**
+     * Run a task. `stream` (optional) is forwarded chunk by chunk once the task starts.
+     * Rejects immediately when the queue is full.
+     */
+    run(kind, payload, { transfer = [], stream = null } = {}) {
+        if (this.queue.length >= this.queueMax) {
+            this.counters.rejected++;
+            destroyStream(stream);
+            return Promise.reject(new Error(`Parser queue full (${this.queueMax} waiting)`));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, kind, payload, transfer, stream, resolve, reject });
+            this._dispatch();
+        });
+    }
+
+    _spawn() {
+        const slot = { worker: new Worker(path.join(__dirname, 'parserWorker.js')), task: null, inFlight: 0, drained: null };
+        slot.worker.unref();
+        slot.worker.on('message', (msg) => this._onMessage(slot, msg));
+        slot.worker.on('error', (e) => this._fail(slot, e));
+        slot.worker.on('exit', (code) => this._fail(slot, new Error(`Parser worker exited (${code})`)));
+        return slot;
+    }
+
+    _dispatch() {
+        while (this.queue.length) {
+            let slot = this.slots.find(s => !s.task);
+            if (!slot) {
+                if (this.slots.length >= this.size) return;
+                slot = this._spawn();
+                this.slots.push(slot);
+            }
+            this._start(slot, this.queue.shift());
+        }
+    }
+
+    _start(slot, task) {
+        slot.task = task;
+        slot.worker.ref();
+        task.timer = setTimeout(() => {
+            this._fail(slot, new Error(`Parser task ${task.kind} timed out`));
+        }, this.taskTimeoutMs);
+        slot.worker.postMessage({ type: 'task', id: task.id, kind: task.kind, payload: task.payload }, task.transfer);
+        if (task.stream) this._pump(slot, task).catch(e => this._fail(slot, e));
+    }
+
+    // Forward the stream, pausing while the worker has MAX_CHUNKS_IN_FLIGHT chunks not yet consumed
+    async _pump(slot, task) {
+        for await (const chunk of task.stream) {
+            if (slot.task !== task) return;
+            const copy = new Uint8Array(chunk); // own ArrayBuffer, safe to transfer
+            slot.inFlight++;
+            slot.worker.postMessage({ type: 'chunk', chunk: copy }, [copy.buffer]);
+            if (slot.inFlight >= MAX_CHUNKS_IN_FLIGHT) await new Promise(resolve => { slot.drained = resolve; });
+        }
+        if (slot.task === task) slot.worker.postMessage({ type: 'end' });
+    }
+
+    _onMessage(slot, msg) {
+        if (msg.type === 'ack') {
+            slot.inFlight--;
+            if (slot.drained && slot.inFlight < MAX_CHUNKS_IN_FLIGHT) {
+                const resume = slot.drained;
+                slot.drained = null;
+                resume();
+            }
+            return;
+        }
+        const task = slot.task;
+        if (!task || msg.id !== task.id) return;
+        this._finish(slot);
+        if (msg.type === 'error') {
+            this.counters.failed++;
+            destroyStream(task.stream);
+            task.reject(new Error(msg.message));
+        } else {
+            this.counters.completed++;
+            task.resolve(msg.value);
+        }
+        this._dispatch();
+    }
+
+    _finish(slot) {
+        clearTimeout(slot.task.timer);
+        slot.task = null;
+        slot.inFlight = 0;
+        if (slot.drained) { slot.drained(); slot.drained = null; }
+        slot.worker.unref();
+    }
+
+    // Worker crashed / timed out: fail its task and replace it
+    _fail(slot, error) {
+        const index = this.slots.indexOf(slot);
+        if (index === -1) return;
+        this.slots.splice(index, 1);
+        const task = slot.task;
+        if (task) {
+            this._finish(slot);
+            this.counters.failed++;
+            destroyStream(task.stream);
+            task.reject(error);
+        }
+        slot.worker.removeAllListeners('exit');
+        slot.worker.terminate().catch(() => {});
+        this.counters.restarts++;
+        this._dispatch();
+    }
+
+    stats() {
+        return {
+            ...this.counters,
+            workers: this.slots.length,
+            busy: this.slots.filter(s => s.task).length,
+            queued: this.queue.length
+        };
+    }
+}
+
+// Readable bodies only; string / Buffer sources are wrapped in an array
+function destroyStream(stream) {
+    if (stream && typeof stream.destroy === 'function' && !stream.destroyed) stream.destroy();
+}
+
+const pool = POOL_SIZE > 0 ? new ParserPool() : null;
+
+/**
+ * Parse an M3U playlist (string or Buffer). Keeps the non-enumerable `header` of m3uParser.parseM3U.
+ */
+async function parseM3U(content) {
+    if (!pool) return parseM3UInline(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+    const bytes = Buffer.isBuffer(content) ? new Uint8Array(content) : new TextEncoder().encode(content);
+    const { items, header } = await pool.run('m3u', { bytes }, { transfer: [bytes.buffer] });
+    Object.defineProperty(items, 'header', { value: header, enumerable: false });
+    return items;
+}
+
+/**
+ * Parse an XMLTV guide (string, Buffer or readable stream, gzip or not). Same options as epgParser.parseEPG.
+ */
+async function parseEPG(source, options = {}) {
+    if (!pool) return parseEPGInline(source, options);
+    const stream = typeof source === 'string' || Buffer.isBuffer(source) ? [Buffer.from(source)] : source;
+    return pool.run('epg', { options }, { stream });
+}
+
+/**
+ * Build a SearchIndex for items: tokenizing / cleaning runs in a worker, the main thread only
+ * rebuilds the posting maps from transferred typed arrays.
+ */
+async function buildSearchIndex(items) {
+    if (!pool) return SearchIndex.build(items);
+    const docs = items.map(i => [i.id, i.name, i.original_title || null]);
+    const compact = await pool.run('search', { docs });
+    return SearchIndex.fromCompact(Array.from(compact.positions, pos => items[pos]), compact);
+}
+
+function stats() {
+    return pool ? pool.stats() : { workers: 0 };
+}
+
+module.exports = {
+    parseM3U,
+    parseEPG,
+    buildSearchIndex,
+    stats
+};
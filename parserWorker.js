@@ -0,0 +1,101 @@
+// parserWorker.js
+// Worker thread side of parserPool.js: runs CPU heavy parsing off the main event loop.
+// Tasks (one at a time per worker):
+//   m3u    { bytes }                -> { items, header }
+//   epg    streamed chunks + opts   -> { [channelId]: programmes }
+//   search { docs: [[id, name, originalTitle]] } -> compact search postings (typed arrays)
+// Results are posted as structured clones, so the main thread receives ready objects and never parses JSON;
+// the search postings travel as transferred typed arrays.
+const { parentPort } = require('worker_threads');
+const { parseM3U } = require('./m3uParser');
+const { parseEPG } = require('./epgParser');
+const SearchIndex = require('./searchIndex');
+
+/**
+ * Async iterable fed by 'chunk' messages. Each consumed chunk is acknowledged so the main
+ * thread can apply backpressure to the HTTP body it is forwarding.
+ */
+class ChunkQueue {
+    constructor() {
+        this.chunks = [];
+        this.ended = false;
+        this.waiting = null;
+    }
+
+    push(chunk) {
+        this.chunks.push(chunk);
+        this._wake();
+    }
+
+    end() {
+        this.ended = true;
+        this._wake();
+    }
+
+    _wake() {
+        if (this.waiting) {
+            const resolve = this.waiting;
+            this.waiting = null;
+            resolve();
+        }
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (;;) {
+            if (this.chunks.length) {
+                const chunk = this.chunks.shift();
+                parentPort.postMessage({ type: 'ack' });
+                yield chunk;
+            } else if (this.ended) {
+                return;
+            } else {
+                await new Promise(resolve => { this.waiting = resolve; });
+            }
+        }
+    }
+}
+
+let input = null;
+
+function sendResult(id, value) {
+    parentPort.postMessage({ type: 'result', id, value });
+}
+
+async function runTask(msg) {
+    switch (msg.kind) {
+        case 'm3u': {
+            const items = parseM3U(Buffer.from(msg.payload.bytes).toString('utf8'));
+            return sendResult(msg.id, { items, header: items.header || {} });
+        }
+        case 'epg': {
+            input = new ChunkQueue();
+            const epg = await parseEPG(input, msg.payload.options);
+            input = null;
+            return sendResult(msg.id, epg);
+        }
+        case 'search': {
+            const index = new SearchIndex();
+            msg.payload.docs.forEach(([id, name, originalTitle], i) => {
+                const item = { id, name, original_title: originalTitle, _pos: i };
+                index.addText(item, name, 1, true);
+                if (originalTitle) index.addText(item, originalTitle, 0.8);
+            });
+            const compact = index.toCompact();
+            compact.positions = Uint32Array.from(index.docs, d => d._pos);
+            return parentPort.postMessage({ type: 'result', id: msg.id, value: compact },
+                [compact.offsets.buffer, compact.docIds.buffer, compact.weights.buffer, compact.positions.buffer]);
+        }
+        default:
+            throw new Error(`Unknown task ${msg.kind}`);
+    }
+}
+
+parentPort.on('message', (msg) => {
+    if (msg.type === 'chunk') return input && input.push(Buffer.from(msg.chunk));
+    if (msg.type === 'end') return input && input.end();
+    if (msg.type !== 'task') return;
+    runTask(msg).catch((e) => {
+        input = null;
+        parentPort.postMessage({ type: 'error', id: msg.id, message: e.message });
+    });
+});
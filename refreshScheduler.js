@@ -0,0 +1,115 @@
+// refreshScheduler.js
+// Periodic background refresh of addon instances (one per configured token).
+// - Each instance is refreshed every `instance.refreshIntervalMs` (per token, see M3UEPGAddon)
+// - Handlers keep serving the current data while a refresh runs (stale-while-revalidate)
+// - Failed refreshes are retried with exponential backoff instead of waiting a full interval
+// - Instances not used for `idleMs` are dropped; the next request registers them again
+// - Instances whose interface left the server cache are unregistered for good (`instance.disposed`)
+// - At most `concurrency` refreshes run at once so panels are not all downloaded together
+
+const DEFAULT_TICK_MS = 30 * 1000;
+const DEFAULT_IDLE_MS = 24 * 3600 * 1000;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const RETRY_MAX_MS = 6 * 3600 * 1000;
+
+class RefreshScheduler {
+    constructor({ tickMs = DEFAULT_TICK_MS, idleMs = DEFAULT_IDLE_MS, concurrency = 1 } = {}) {
+        this.tickMs = tickMs;
+        this.idleMs = idleMs;
+        this.concurrency = Math.max(1, concurrency);
+        this.entries = new Map(); // instance -> { nextRun, lastAccess, failures, refreshing }
+        this.running = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Track an instance. Its first refresh is due one interval after its last successful update,
+     * i.e. immediately when the data it was restored with is already stale.
+     */
+    register(instance) {
+        const now = Date.now();
+        let entry = this.entries.get(instance);
+        if (!entry) {
+            const due = instance.lastUpdate ? instance.lastUpdate + instance.refreshIntervalMs : now;
+            entry = { nextRun: Math.max(now, due), lastAccess: now, failures: 0, refreshing: false };
+            this.entries.set(instance, entry);
+            this._start();
+        }
+        entry.lastAccess = now;
+        if (entry.nextRun <= now) setImmediate(() => this.tick());
+        return entry;
+    }
+
+    /**
+     * Mark an instance as used (called from the handlers). Re-registers it if it was dropped while idle,
+     * unless it was disposed (a request still finishing on an evicted interface).
+     */
+    touch(instance) {
+        const entry = this.entries.get(instance);
+        if (entry) entry.lastAccess = Date.now();
+        else if (!instance.disposed) this.register(instance);
+    }
+
+    unregister(instance) {
+        this.entries.delete(instance);
+        if (!this.entries.size) this._stop();
+    }
+
+    tick() {
+        const now = Date.now();
+        for (const [instance, entry] of this.entries) {
+            if (now - entry.lastAccess > this.idleMs) {
+                instance.log(`[REFRESH] Idle for ${Math.round((now - entry.lastAccess) / 60000)} min, dropped`);
+                this.entries.delete(instance);
+                continue;
+            }
+            if (this.running >= this.concurrency) continue;
+            if (!entry.refreshing && entry.nextRun <= now) this._refresh(instance, entry);
+        }
+        if (!this.entries.size) this._stop();
+    }
+
+    async _refresh(instance, entry) {
+        entry.refreshing = true;
+        this.running++;
+        try {
+            const ok = await instance.updateData(true);
+            if (ok === false) throw new Error('provider refresh failed');
+            entry.failures = 0;
+            // Small jitter so instances registered together drift apart
+            entry.nextRun = Date.now() + instance.refreshIntervalMs * (1 + Math.random() * 0.1);
+        } catch (e) {
+            entry.failures++;
+            const delay = Math.min(RETRY_MAX_MS, instance.refreshIntervalMs, RETRY_BASE_MS * 2 ** (entry.failures - 1));
+            entry.nextRun = Date.now() + delay;
+            console.warn(`[REFRESH] Failed (${entry.failures}x), retry in ${Math.round(delay / 60000)} min: ${e.message}`);
+        } finally {
+            entry.refreshing = false;
+            this.running--;
+        }
+    }
+
+    stats() {
+        const entries = [...this.entries.values()];
+        return {
+            instances: entries.length,
+            running: this.running,
+            failing: entries.filter(e => e.failures > 0).length,
+            nextRunInMs: entries.length ? Math.max(0, Math.min(...entries.map(e => e.nextRun)) - Date.now()) : null
+        };
+    }
+
+    _start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        this.timer.unref();
+    }
+
+    _stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = RefreshScheduler;
@@ -0,0 +1,77 @@
+// revocationList.js
+// Server-side list of revoked tokens, checked by the /:token middleware before anything is built or served.
+// An entry is either the `jti` of a signed token or the sha256 hex of a whole token / stored config id
+// (printf %s "$TOKEN" | sha256sum), so any token format can be revoked.
+// Sources (both optional):
+// - TOKEN_REVOCATION_FILE: one entry per line (# comments allowed), reloaded when the file changes
+// - Redis set `tokens:revoked` (shared by every replica), lookups cached briefly
+const fs = require('fs');
+const crypto = require('crypto');
+const LRUCache = require('./lruCache');
+
+const FILE_CHECK_INTERVAL_MS = 30 * 1000;
+const REDIS_KEY = 'tokens:revoked';
+
+class RevocationList {
+    /**
+     * @param {object} [opts]
+     * @param {string} [opts.file]         revocation file path
+     * @param {object} [opts.redis]        ioredis client
+     * @param {number} [opts.cacheTtlMs]   Redis lookup cache duration
+     */
+    constructor({ file = null, redis = null, cacheTtlMs = 60 * 1000 } = {}) {
+        this.file = file;
+        this.redis = redis;
+        this.entries = new Set();
+        this.fileMtime = 0;
+        this.lastFileCheck = 0;
+        this.cache = new LRUCache({ max: 10000, ttl: cacheTtlMs });
+    }
+
+    static tokenHash(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    async _refreshFile() {
+        const now = Date.now();
+        if (!this.file || now - this.lastFileCheck < FILE_CHECK_INTERVAL_MS) return;
+        this.lastFileCheck = now;
+        try {
+            const stat = await fs.promises.stat(this.file);
+            if (stat.mtimeMs === this.fileMtime) return;
+            const text = await fs.promises.readFile(this.file, 'utf8');
+            this.entries = new Set(text.split(/\r?\n/).map(l => l.replace(/#.*$/, '').trim()).filter(Boolean));
+            this.fileMtime = stat.mtimeMs;
+            console.log(`[REVOKE] ${this.entries.size} revoked token(s) loaded`);
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error('[REVOKE] Revocation file read failed:', e.message);
+        }
+    }
+
+    async _inRedis(id) {
+        const cached = this.cache.get(id);
+        if (cached !== undefined) return cached;
+        try {
+            const revoked = (await this.redis.sismember(REDIS_KEY, id)) === 1;
+            this.cache.set(id, revoked);
+            return revoked;
+        } catch {
+            return false; // Redis unavailable: do not lock every user out
+        }
+    }
+
+    /**
+     * @param {string[]} ids  candidate entries (token hash, jti...)
+     */
+    async isRevoked(ids) {
+        await this._refreshFile();
+        for (const id of ids) {
+            if (!id) continue;
+            if (this.entries.has(id)) return true;
+            if (this.redis && await this._inRedis(id)) return true;
+        }
+        return false;
+    }
+}
+
+module.exports = RevocationList;
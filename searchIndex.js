@@ -0,0 +1,237 @@
+// searchIndex.js
+// Inverted index for catalog search, built once per data load instead of scanning every item per keystroke.
+// - Accent / case / punctuation insensitive ("amelie" finds "Amélie")
+// - Provider decorations ignored (|FR|, quality tags) via tmdbMatcher.cleanTitle
+// - Word order independent; last query word matches as a prefix (search-as-you-type)
+// - Light fuzzy matching (edit distance 1, or 2 for long words) when a word has no direct hit
+// - Several weighted fields per item (name, TMDB original title, EPG programme titles)
+const { cleanTitle, normalize } = require('./tmdbMatcher');
+
+const EXACT = 3;
+const PREFIX = 2;
+const FUZZY = 1;
+const MAX_PREFIX_TOKENS = 300;
+
+function tokenize(text) {
+    return normalize(text).split(' ').filter(Boolean);
+}
+
+/**
+ * Levenshtein distance with an early exit once `max` is exceeded.
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (cur[j] < rowMin) rowMin = cur[j];
+        }
+        if (rowMin > max) return max + 1;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+class SearchIndex {
+    constructor() {
+        this.docs = [];               // docId -> item
+        this.docIds = new Map();      // item.id -> docId
+        this.names = [];              // docId -> normalized clean name (ranking bonus)
+        this.postings = new Map();    // token -> Map(docId -> field weight)
+        this._sortedTokens = null;    // lazily rebuilt after additions
+        this._byFirstChar = null;
+    }
+
+    static build(items) {
+        const index = new SearchIndex();
+        for (const item of items) {
+            index.addText(item, item.name, 1, true);
+            if (item.original_title) index.addText(item, item.original_title, 0.8);
+        }
+        return index;
+    }
+
+    /**
+     * Flat, transferable form of the postings (built in a worker thread, see parserPool.buildSearchIndex).
+     * Postings of tokens[i] are docIds / weights in [offsets[i], offsets[i + 1]).
+     */
+    toCompact() {
+        const tokens = [...this.postings.keys()];
+        const offsets = new Uint32Array(tokens.length + 1);
+        let total = 0;
+        tokens.forEach((tok, i) => { offsets[i] = total; total += this.postings.get(tok).size; });
+        offsets[tokens.length] = total;
+        const docIds = new Uint32Array(total);
+        const weights = new Float32Array(total);
+        let n = 0;
+        for (const tok of tokens) {
+            for (const [docId, weight] of this.postings.get(tok)) {
+                docIds[n] = docId;
+                weights[n++] = weight;
+            }
+        }
+        return { tokens, offsets, docIds, weights, names: this.names };
+    }
+
+    /**
+     * Rebuild an index from toCompact() output. docs[i] is the item for docId i.
+     */
+    static fromCompact(docs, compact) {
+        const index = new SearchIndex();
+        docs.forEach((item, i) => {
+            index.docs.push(item);
+            index.docIds.set(item.id, i);
+        });
+        index.names = compact.names;
+        const { tokens, offsets, docIds, weights } = compact;
+        tokens.forEach((tok, i) => {
+            const list = new Map();
+            for (let j = offsets[i]; j < offsets[i + 1]; j++) list.set(docIds[j], weights[j]);
+            index.postings.set(tok, list);
+        });
+        return index;
+    }
+
+    _docId(item) {
+        let id = this.docIds.get(item.id);
+        if (id === undefined) {
+            id = this.docs.length;
+            this.docs.push(item);
+            this.docIds.set(item.id, id);
+            this.names.push(normalize(cleanTitle(item.name).title || item.name));
+        }
+        return id;
+    }
+
+    /**
+     * Index `text` for `item` with a field weight. Names are cleaned of provider decorations;
+     * their year (if any) is indexed at a lower weight so "matrix 1999" still narrows results.
+     */
+    addText(item, text, weight = 1, isName = false) {
+        if (!item || !item.id || !text) return;
+        const docId = this._docId(item);
+        let tokens;
+        if (isName) {
+            const { title, year } = cleanTitle(text);
+            tokens = tokenize(title || text);
+            if (year) this._post(String(year), docId, weight * 0.5);
+        } else {
+            tokens = tokenize(text);
+        }
+        for (const tok of tokens) this._post(tok, docId, weight);
+    }
+
+    _post(token, docId, weight) {
+        let list = this.postings.get(token);
+        if (!list) {
+            list = new Map();
+            this.postings.set(token, list);
+            this._sortedTokens = null;
+            this._byFirstChar = null;
+        }
+        if ((list.get(docId) || 0) < weight) list.set(docId, weight);
+    }
+
+    _tokens() {
+        if (!this._sortedTokens) {
+            this._sortedTokens = [...this.postings.keys()].sort();
+            this._byFirstChar = new Map();
+            for (const tok of this._sortedTokens) {
+                const bucket = this._byFirstChar.get(tok[0]);
+                if (bucket) bucket.push(tok); else this._byFirstChar.set(tok[0], [tok]);
+            }
+        }
+        return this._sortedTokens;
+    }
+
+    _lowerBound(sorted, value) {
+        let lo = 0;
+        let hi = sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < value) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Best score per doc for a single query word.
+     */
+    _matchToken(qt, allowPrefix) {
+        const hits = new Map();
+        const add = (tok, kind) => {
+            for (const [docId, weight] of this.postings.get(tok)) {
+                const score = kind * weight;
+                if ((hits.get(docId) || 0) < score) hits.set(docId, score);
+            }
+        };
+        if (this.postings.has(qt)) add(qt, EXACT);
+
+        if (allowPrefix) {
+            const sorted = this._tokens();
+            let seen = 0;
+            for (let i = this._lowerBound(sorted, qt); i < sorted.length && seen < MAX_PREFIX_TOKENS; i++) {
+                const tok = sorted[i];
+                if (!tok.startsWith(qt)) break;
+                if (tok !== qt) { add(tok, PREFIX); seen++; }
+            }
+        }
+
+        if (!hits.size && qt.length >= 4) {
+            this._tokens();
+            const maxDist = qt.length >= 8 ? 2 : 1;
+            for (const tok of this._byFirstChar.get(qt[0]) || []) {
+                if (Math.abs(tok.length - qt.length) > maxDist) continue;
+                if (editDistance(qt, tok, maxDist) <= maxDist) add(tok, FUZZY);
+            }
+        }
+        return hits;
+    }
+
+    /**
+     * Ranked search.
+     * @param {string} query
+     * @param {object} [opts]
+     * @param {function} [opts.filter]  keep only items for which filter(item) is true
+     * @returns {{ item: object, score: number }[]}
+     */
+    search(query, opts = {}) {
+        const qTokens = tokenize(query);
+        if (!qTokens.length) return [];
+        const scores = new Map();  // docId -> { score, matched }
+
+        qTokens.forEach((qt, i) => {
+            // Every word may be a prefix of a longer title word (e.g. "harr pott")
+            const hits = this._matchToken(qt, i === qTokens.length - 1 || qt.length >= 3);
+            for (const [docId, score] of hits) {
+                const entry = scores.get(docId);
+                if (entry) { entry.score += score; entry.matched++; } else scores.set(docId, { score, matched: 1 });
+            }
+        });
+
+        // All words must match; if nothing does, accept the best partial matches
+        let best = 0;
+        for (const e of scores.values()) if (e.matched > best) best = e.matched;
+        const required = scores.size && [...scores.values()].some(e => e.matched === qTokens.length) ? qTokens.length : best;
+
+        const normQuery = qTokens.join(' ');
+        const out = [];
+        for (const [docId, e] of scores) {
+            if (e.matched < required) continue;
+            const item = this.docs[docId];
+            if (opts.filter && !opts.filter(item)) continue;
+            let score = e.score;
+            const name = this.names[docId];
+            if (name === normQuery) score += 5;
+            else if (name.startsWith(normQuery)) score += 2;
+            out.push({ item, score, name });
+        }
+        out.sort((a, b) => (b.score - a.score) || a.name.localeCompare(b.name) || String(a.item.id).localeCompare(String(b.item.id)));
+        return out.map(({ item, score }) => ({ item, score }));
+    }
+}
+
+module.exports = SearchIndex;
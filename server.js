@@ -8,8 +8,11 @@ const path = require('path');
 const crypto = require('crypto');
 const fetch = require('node-fetch');
 const createAddon = require('./addon');
-const { encryptConfig, tryParseConfigToken } = require('./cryptoConfig');
+const { encryptConfig, isEncryptionEnabled, signConfig, isSigningEnabled, parseConfigToken, keyDigest, legacyTokensAllowed } = require('./cryptoConfig');
 const LRUCache = require('./lruCache');
+const { relayStream, isBlockedHost, safeAgent } = require('./streamRelay');
+const ConfigStore = require('./configStore');
+const RevocationList = require('./revocationList');
 
 const DEBUG = (process.env.DEBUG_MODE || '').toLowerCase() === 'true';
 function dlog(...args) {
@@ -23,20 +26,82 @@ if (process.env.REDIS_URL) {
         redisClient = new Redis(process.env.REDIS_URL, { lazyConnect: true, maxRetriesPerRequest: 2 });
         redisClient.on('error', e => console.error('[REDIS] Error:', e.message));
         redisClient.connect().catch(err => console.error('[REDIS] Connect failed:', err.message));
-        console.log('[REDIS] Enabled (interface cache)');
+        console.log('[REDIS] Enabled (build locks; addon data is shared through addon.js)');
     } catch (e) {
         console.warn('[REDIS] ioredis not available, fallback to in-memory LRU');
         redisClient = null;
     }
 }
 
+// Configs stockées sous un identifiant court (désactivé par défaut)
+const configStore = new ConfigStore({
+    dir: process.env.CONFIG_STORE_DIR || null,
+    redis: (process.env.CONFIG_STORE_REDIS || '').toLowerCase() === 'true' ? redisClient : null
+});
+if (configStore.enabled) console.log(`[CONFIG] Config store enabled (${configStore.dir ? 'file' : 'redis'})`);
+
+// Tokens révoqués (fichier et/ou set Redis), vérifiés à chaque requête /:token
+const revocations = new RevocationList({ file: process.env.TOKEN_REVOCATION_FILE || null, redis: redisClient });
+
 const INTERFACE_TTL_MS = parseInt(process.env.CACHE_TTL_MS || (6 * 3600 * 1000).toString(), 10);
-const interfaceCache = new LRUCache({ max: parseInt(process.env.MAX_CACHE_ENTRIES || '100', 10), ttl: INTERFACE_TTL_MS });
+// Une interface retient toutes les données de son token : le budget mémoire porte sur leur taille estimée
+const interfaceCache = new LRUCache({
+    max: parseInt(process.env.MAX_CACHE_ENTRIES || '100', 10),
+    ttl: INTERFACE_TTL_MS,
+    maxBytes: parseInt(process.env.INTERFACE_CACHE_MAX_MB || '1024', 10) * 1024 * 1024,
+    sizeOf: (iface) => iface.approxBytes || 0,
+    // Interface sortie du cache (budget, TTL, config mise à jour / supprimée) : plus de rafraîchissement
+    onEvict: (key, iface) => {
+        if (iface.storedId) {
+            const keys = storedInterfaces.get(iface.storedId);
+            if (keys && keys.delete(key) && !keys.size) storedInterfaces.delete(iface.storedId);
+        }
+        if (iface.dispose) iface.dispose();
+    }
+});
+// Interfaces construites pour une config stockée : id -> clés du cache (toutes révisions confondues)
+const storedInterfaces = new Map();
 const CACHE_ENABLED = (process.env.CACHE_ENABLED || 'true').toLowerCase() !== 'false';
 
+// Config stockée mise à jour / supprimée : chaque replica oublie sa copie et libère ses interfaces.
+// Sans Redis, seul ce process est prévenu : les autres replicas suivent à l'expiration de leur cache de lecture
+const CONFIG_CHANGED_CHANNEL = 'config:changed';
+function forgetStoredConfig(id) {
+    configStore.invalidate(id);
+    for (const key of [...(storedInterfaces.get(id) || [])]) interfaceCache.delete(key);
+    dlog('Stored config changed, interfaces released', id);
+}
+async function announceStoredConfigChange(id) {
+    forgetStoredConfig(id);
+    if (!redisClient) return;
+    try { await redisClient.publish(CONFIG_CHANGED_CHANNEL, id); } catch (e) {
+        console.error('[CONFIG] Change notification failed:', e.message);
+    }
+}
+if (redisClient && configStore.enabled) {
+    // Connexion dédiée : un client abonné ne peut plus envoyer d'autres commandes
+    const subscriber = redisClient.duplicate();
+    subscriber.on('error', e => console.error('[REDIS] Subscriber error:', e.message));
+    subscriber.on('message', (channel, id) => {
+        if (channel === CONFIG_CHANGED_CHANNEL && configStore.isId(id)) forgetStoredConfig(id);
+    });
+    subscriber.subscribe(CONFIG_CHANGED_CHANNEL).catch(e => console.error('[REDIS] Subscribe failed:', e.message));
+}
+
+// Construction d'interface : une seule par token à la fois (par process, et entre replicas via Redis)
+const BUILD_LOCK_TTL_MS = parseInt(process.env.BUILD_LOCK_TTL_MS || (5 * 60 * 1000).toString(), 10);
+const BUILD_LOCK_WAIT_MS = parseInt(process.env.BUILD_LOCK_WAIT_MS || (2 * 60 * 1000).toString(), 10);
+const pendingBuilds = new Map(); // ifaceKey -> Promise<interface>
+
 const PREFETCH_MAX_BYTES = parseInt(process.env.PREFETCH_MAX_BYTES || '150000000', 10);
 const PREFETCH_ENABLED = (process.env.PREFETCH_ENABLED || 'true').toLowerCase() !== 'false';
 
+// Relais de flux (/:token/play/:id) pour les tokens qui l'activent (streamRelay) : désactivé par défaut
+// (le serveur devient un proxy) et seulement avec PUBLIC_URL, jamais déduit des en-têtes Host du client
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const STREAM_RELAY_REQUESTED = (process.env.STREAM_RELAY_ENABLED || 'false').toLowerCase() === 'true';
+const STREAM_RELAY_ENABLED = STREAM_RELAY_REQUESTED && !!PUBLIC_URL;
+
 const app = express();
 const staticDir = path.join(__dirname, 'src');
 app.use(express.static(staticDir));
@@ -49,8 +114,8 @@ app.use((req, res, next) => {
 
 // Encryption endpoint
 app.post('/encrypt', (req, res) => {
-    if (!process.env.CONFIG_SECRET) {
-        return res.status(400).json({ error: 'Encryption not enabled on server (CONFIG_SECRET missing)' });
+    if (!isEncryptionEnabled()) {
+        return res.status(400).json({ error: 'Encryption not enabled on server (CONFIG_SECRET / CONFIG_SECRETS missing)' });
     }
     try {
         const jsonStr = JSON.stringify(req.body || {});
@@ -62,10 +127,51 @@ app.post('/encrypt', (req, res) => {
     }
 });
 
+// Signature endpoint: readable but tamper-evident token, for servers without encryption.
+// Optional ?expiresInDays=N
+app.post('/sign', (req, res) => {
+    if (!isSigningEnabled()) {
+        return res.status(400).json({ error: 'Signing not enabled on server (TOKEN_SIGNING_SECRET / CONFIG_SECRET missing)' });
+    }
+    const days = parseFloat(req.query.expiresInDays);
+    const expiresAt = Number.isFinite(days) && days > 0 ? Date.now() + days * 86400 * 1000 : null;
+    const token = signConfig(req.body || {}, { expiresAt });
+    if (!token) return res.status(500).json({ error: 'Sign failed' });
+    res.json({ token, expiresAt });
+});
+
+// Configs stockées : création (renvoie l'id + le secret d'édition), mise à jour et suppression avec le secret
+function sendStoreError(res, e) {
+    if (!e.status) console.error('[CONFIG] Store error:', e.message);
+    res.status(e.status || 500).json({ error: e.status ? e.message : 'Config store error' });
+}
+app.post('/config', async (req, res) => {
+    if (!configStore.enabled) return res.status(404).json({ error: 'Config store not enabled on server' });
+    try {
+        res.json(await configStore.create(req.body || {}));
+    } catch (e) { sendStoreError(res, e); }
+});
+app.put('/config/:id', async (req, res) => {
+    if (!configStore.enabled) return res.status(404).json({ error: 'Config store not enabled on server' });
+    try {
+        const result = await configStore.update(req.params.id, req.get('x-edit-secret'), req.body || {});
+        await announceStoredConfigChange(result.id);
+        res.json(result);
+    } catch (e) { sendStoreError(res, e); }
+});
+app.delete('/config/:id', async (req, res) => {
+    if (!configStore.enabled) return res.status(404).json({ error: 'Config store not enabled on server' });
+    try {
+        const result = await configStore.delete(req.params.id, req.get('x-edit-secret'));
+        await announceStoredConfigChange(result.id);
+        res.json({ ok: true });
+    } catch (e) { sendStoreError(res, e); }
+});
+
 /**
  * Prefetch endpoint: server-side fetch to bypass browser CORS for playlist / EPG pre-flight.
- * SECURITY: Basic SSRF protections included (blocks local/private networks).
- * NOTE: For production, consider a stricter allowlist or DNS/IP resolution checks.
+ * SECURITY: SSRF protection shared with the stream relay: the host is resolved and every address must be
+ * public, the connection then goes to the checked address.
  */
 app.post('/api/prefetch', async (req, res) => {
     if (!PREFETCH_ENABLED) return res.status(403).json({ error: 'Prefetch disabled by server' });
@@ -76,17 +182,8 @@ app.post('/api/prefetch', async (req, res) => {
 
     try {
         const u = new URL(url);
-        const host = u.hostname;
         // Basic SSRF / local network block
-        if (
-            host === 'localhost' ||
-            host === '0.0.0.0' ||
-            /^127\./.test(host) ||
-            /^10\./.test(host) ||
-            /^192\.168\./.test(host) ||
-            /^172\.(1[6-9]|2[0-9]|3[0-1])\./.test(host) ||
-            /^169\.254\./.test(host)
-        ) {
+        if (isBlockedHost(u.hostname)) {
             return res.status(400).json({ error: 'Blocked host' });
         }
 
@@ -100,8 +197,12 @@ app.post('/api/prefetch', async (req, res) => {
             fetched = await fetch(url, {
                 method: 'GET',
                 signal: controller.signal,
+                agent: safeAgent,
                 headers: { 'User-Agent': 'IPTV-Stremio-Addon Prefetch/1.1' }
             });
+        } catch (e) {
+            if (e.code === 'EBLOCKEDHOST') return res.status(400).json({ error: 'Blocked host' });
+            throw e;
         } finally {
             clearTimeout(timeout);
         }
@@ -189,7 +290,11 @@ app.get('/health', async (req, res) => {
     }
 
     // Sinon, on répond le "OK" habituel
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+    res.json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        caches: { interface: interfaceCache.stats(), ...createAddon.stats() }
+    });
 });
 app.get('/favicon.ico', (req, res) => res.status(204).end());
 
@@ -209,8 +314,18 @@ app.get('/configure-xtream', (req, res) => {
 
 
 
-function maybeDecryptConfig(token) {
-    return tryParseConfigToken(token);
+// Token complet ou identifiant court (configStore). cacheId : la révision d'une config stockée en fait partie,
+// une mise à jour donne donc une nouvelle interface. revocationIds : entrées possibles de la liste de révocation
+async function resolveConfigToken(token) {
+    const revocationIds = [RevocationList.tokenHash(token)];
+    if (configStore.isId(token)) {
+        const stored = await configStore.get(token);
+        if (!stored) throw Object.assign(new Error('Unknown configuration id'), { status: 404 });
+        return { config: { ...stored.config }, cacheId: `${token}:${stored.rev}`, revocationIds };
+    }
+    const parsed = parseConfigToken(token);
+    if (parsed.jti) revocationIds.push(parsed.jti);
+    return { config: parsed.config, cacheId: token, revocationIds };
 }
 function isConfigToken(token) {
     if (!token) return false;
@@ -220,12 +335,12 @@ function isConfigToken(token) {
 }
 
 // Legacy redirect
-app.get('/:token/configure', (req, res) => {
+app.get('/:token/configure', async (req, res) => {
     const { token } = req.params;
     if (!isConfigToken(token)) return res.status(400).json({ error: 'Invalid configuration' });
     let cfg;
     try {
-        cfg = maybeDecryptConfig(token);
+        ({ config: cfg } = await resolveConfigToken(token));
     } catch {
         return res.redirect(`/${encodeURIComponent(token)}/configure-direct`);
     }
@@ -248,43 +363,115 @@ app.get('/:token/configure-xtream', (req, res) => {
     });
 });
 
+// Verrou distribué (SET NX PX). Retourne la valeur du verrou si acquis, false s'il est détenu
+// par un autre replica, null sans Redis (ou Redis indisponible : on construit quand même).
+async function acquireBuildLock(lockKey) {
+    if (!redisClient) return null;
+    const value = crypto.randomBytes(12).toString('hex');
+    try {
+        const ok = await redisClient.set(lockKey, value, 'PX', BUILD_LOCK_TTL_MS, 'NX');
+        return ok === 'OK' ? value : false;
+    } catch { return null; }
+}
+async function releaseBuildLock(lockKey, value) {
+    // Ne supprime que notre propre verrou (il a pu expirer et être repris entre-temps)
+    const script = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+    try { await redisClient.eval(script, 1, lockKey, value); } catch { }
+}
+async function waitForBuildLock(lockKey) {
+    const deadline = Date.now() + BUILD_LOCK_WAIT_MS;
+    while (Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, 500));
+        try { if (!(await redisClient.exists(lockKey))) return true; } catch { return false; }
+    }
+    return false;
+}
+
+// Interfaces non gardées partagées par les requêtes qui ont rejoint le même build : compteur de
+// réponses en cours, dispose() à la fermeture de la dernière
+const uncachedUsers = new WeakMap();
+function holdUncached(iface, res) {
+    uncachedUsers.set(iface, (uncachedUsers.get(iface) || 0) + 1);
+    res.on('close', () => {
+        const left = uncachedUsers.get(iface) - 1;
+        if (left > 0) return uncachedUsers.set(iface, left);
+        uncachedUsers.delete(iface);
+        iface.dispose();
+    });
+}
+
+// Requêtes simultanées pour un même token (manifest + catalogues + meta) : un seul createAddon.
+// L'interface elle-même (handlers) n'est pas sérialisable : seules les données partent dans Redis.
+// Avec Redis, le replica qui détient le verrou télécharge le panel ; les autres attendent puis
+// construisent depuis les données qu'il a publiées dans Redis.
+function buildInterface(ifaceKey, config, storedId = null) {
+    let pending = pendingBuilds.get(ifaceKey);
+    if (pending) {
+        dlog('Joining in-flight build', ifaceKey);
+        return pending;
+    }
+    pending = (async () => {
+        const lockKey = 'lock:' + ifaceKey;
+        const lockValue = await acquireBuildLock(lockKey);
+        try {
+            if (lockValue === false) {
+                dlog('Build lock held by another replica, waiting', ifaceKey);
+                if (!(await waitForBuildLock(lockKey))) console.warn('[SERVER] Build lock wait timed out, building anyway');
+            }
+            dlog('Building addon interface (cache miss)', ifaceKey);
+            const iface = await createAddon(config);
+            if (storedId) Object.defineProperty(iface, 'storedId', { value: storedId });
+            // Interface non gardée (cache désactivé ou trop grosse pour le budget) : libérée après la dernière
+            // requête qui l'utilise (voir holdUncached)
+            if (!CACHE_ENABLED || !interfaceCache.set(ifaceKey, iface)) {
+                Object.defineProperty(iface, 'uncached', { value: true });
+            } else {
+                // La taille mesurée au set() ne suit pas les rafraîchissements : nouvelle mesure à chaque fois
+                iface.onDataUpdated = () => interfaceCache.resize(ifaceKey, iface);
+                if (storedId) {
+                    if (!storedInterfaces.has(storedId)) storedInterfaces.set(storedId, new Set());
+                    storedInterfaces.get(storedId).add(ifaceKey);
+                }
+            }
+            return iface;
+        } finally {
+            if (lockValue) await releaseBuildLock(lockKey, lockValue);
+            pendingBuilds.delete(ifaceKey);
+        }
+    })();
+    pendingBuilds.set(ifaceKey, pending);
+    return pending;
+}
+
 // Token interface middleware
 app.use('/:token', async (req, res, next) => {
     const { token } = req.params;
     if (!isConfigToken(token)) return next('route');
     if (req.path.startsWith('/configure')) return next();
 
-    let config;
+    let config, cacheId, revocationIds;
     try {
-        config = maybeDecryptConfig(token);
+        ({ config, cacheId, revocationIds } = await resolveConfigToken(token));
     } catch (e) {
         dlog('Config parse failed', token, e.message);
-        return res.status(400).json({ error: 'Invalid configuration token' });
+        return res.status(e.status || 400).json({ error: e.status ? e.message : 'Invalid configuration token' });
+    }
+    if (await revocations.isRevoked(revocationIds)) {
+        dlog('Revoked token', token);
+        return res.status(401).json({ error: 'Token revoked' });
     }
     if (!config.provider) config.provider = config.useXtream ? 'xtream' : 'direct';
     if (DEBUG && config.debug !== false) config.debug = true;
+    // Base des URLs de relais : toujours fixée par le serveur, jamais reprise du token
+    delete config.relayBaseUrl;
+    if (STREAM_RELAY_ENABLED && config.streamRelay) config.relayBaseUrl = `${PUBLIC_URL}/${encodeURIComponent(token)}`;
 
-    const ifaceKey = 'iface:' + crypto.createHash('md5').update(token).digest('hex');
-
-    async function redisGet(key) {
-        if (!CACHE_ENABLED || !redisClient) return null;
-        try { return await redisClient.get(key); } catch { return null; }
-    }
-    async function redisSet(key, ttl) {
-        if (!CACHE_ENABLED || !redisClient) return;
-        try { await redisClient.set(key, '1', 'PX', ttl); } catch { }
-    }
+    const ifaceKey = 'iface:' + keyDigest(cacheId);
 
     let iface = CACHE_ENABLED ? interfaceCache.get(ifaceKey) : null;
     if (!iface) {
-        await redisGet(ifaceKey);
         try {
-            dlog('Building addon interface (cache miss)', ifaceKey);
-            iface = await createAddon(config);
-            if (CACHE_ENABLED) {
-                interfaceCache.set(ifaceKey, iface);
-                await redisSet(ifaceKey, INTERFACE_TTL_MS);
-            }
+            iface = await buildInterface(ifaceKey, config, configStore.isId(token) ? token : null);
         } catch (e) {
             console.error('[SERVER] Addon build failed:', e);
             return res.status(500).json({ error: 'Addon build error' });
@@ -293,6 +480,7 @@ app.use('/:token', async (req, res, next) => {
         dlog('Interface cache hit', ifaceKey);
     }
 
+    if (iface.uncached) holdUncached(iface, res);
     req.addonInterface = iface;
     req.configToken = token;
     next();
@@ -334,6 +522,20 @@ app.get('/:token/logo/:tvgId.png', async (req, res) => {
     res.redirect(`https://via.placeholder.com/300x400/333333/FFFFFF?text=${encodeURIComponent(noCountry.toUpperCase().slice(0, 12))}`);
 });
 
+// Relais de flux : l'URL du fournisseur (identifiants compris) reste côté serveur
+app.get('/:token/play/:id', async (req, res) => {
+    const iface = req.addonInterface;
+    if (!iface || !iface.relayEnabled) return res.status(404).json({ error: 'Stream relay not enabled' });
+    const { id } = req.params;
+    try {
+        await relayStream(req, res, { token: req.configToken, id, resolve: () => iface.resolveStream(id) });
+    } catch (e) {
+        dlog('Relay error', id, e.message);
+        if (!res.headersSent) res.status(e.status || 500).json({ error: e.status ? e.message : 'Relay error' });
+        else res.destroy();
+    }
+});
+
 // Stremio router
 app.use('/:token', (req, res) => {
     const iface = req.addonInterface;
@@ -357,7 +559,25 @@ app.use((error, req, res, next) => {
     if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
 });
 
-const port = process.env.PORT || 7000;
-app.listen(port, () => {
-    console.log(`🚀 Server running on port ${port} (debug=${DEBUG}, prefetch=${PREFETCH_ENABLED})`);
-});
\ No newline at end of file
+// Lancé directement (npm start) : écoute ; importé (tests) : l'application seule, sans port
+if (require.main === module) {
+    const port = process.env.PORT || 7000;
+    app.listen(port, () => {
+        console.log(`🚀 Server running on port ${port} (debug=${DEBUG}, prefetch=${PREFETCH_ENABLED})`);
+        if (STREAM_RELAY_REQUESTED && !PUBLIC_URL) console.warn('[RELAY] STREAM_RELAY_ENABLED=true ignored: PUBLIC_URL is not set');
+        // Mode des tokens non signés (migration : voir README)
+        if (legacyTokensAllowed() && !isSigningEnabled()) {
+            console.warn('[TOKENS] No CONFIG_SECRET / TOKEN_SIGNING_SECRET: tokens are unsigned, anyone can edit them');
+        } else if (legacyTokensAllowed()) {
+            console.warn('[TOKENS] Unsigned legacy tokens are accepted (ALLOW_LEGACY_TOKENS=true): anyone can edit them. ' +
+                'Remove ALLOW_LEGACY_TOKENS once users have reinstalled with signed or encrypted tokens.');
+        } else if (!isSigningEnabled() && !configStore.enabled) {
+            console.warn('[TOKENS] ALLOW_LEGACY_TOKENS=false without CONFIG_SECRET / TOKEN_SIGNING_SECRET or config store: ' +
+                'no new install can be configured');
+        } else {
+            console.log('[TOKENS] Unsigned legacy tokens are refused (set ALLOW_LEGACY_TOKENS=true to accept them during a migration)');
+        }
+    });
+}
+
+module.exports = app;
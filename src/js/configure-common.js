@@ -191,8 +191,88 @@
         return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
     }
 
-    function buildUrls(config) {
-        const token = encodeConfigBase64Url(config);
+    // Stored config id in the current URL (/<cfg-id>/configure-…) and its edit secret, kept in this browser
+    const STORED_ID_PATTERN = /^\/(cfg-[A-Za-z0-9_-]{12})\//;
+    const storedId = (window.location.pathname.match(STORED_ID_PATTERN) || [])[1] || null;
+    const secretKey = (id) => `iptvAddon.editSecret.${id}`;
+    function readStorage(key) {
+        try { return localStorage.getItem(key); } catch (e) { return null; }
+    }
+
+    async function postJson(url, method, body, headers = {}) {
+        try {
+            const r = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            return { ok: r.ok, status: r.status, json: await r.json().catch(() => null) };
+        } catch (e) {
+            return { ok: false, status: 0, json: null };
+        }
+    }
+
+    // Short id from the server config store: the page opened with a cfg- id updates that config in place
+    // (edit secret kept in this browser, or asked for); every other submit creates a new config
+    async function requestStoredId(config) {
+        if (storedId) {
+            const secret = readStorage(secretKey(storedId))
+                || (window.prompt('Edit secret for this configuration (leave empty to store it as a new configuration):') || '').trim();
+            if (secret) {
+                const r = await postJson(`/config/${storedId}`, 'PUT', config, { 'X-Edit-Secret': secret });
+                if (r.ok) {
+                    try { localStorage.setItem(secretKey(storedId), secret); } catch (e) { /* private mode */ }
+                    return { id: storedId, updated: true };
+                }
+                if (r.status === 403 || r.status === 404) {
+                    try { localStorage.removeItem(secretKey(storedId)); } catch (e) { /* ignore */ }
+                }
+                // Wrong secret: stop here rather than leaving the installed URL on the old config
+                if (r.status === 403) throw new Error('Invalid edit secret for ' + storedId);
+            }
+        }
+        const r = await postJson('/config', 'POST', config);
+        if (!r.ok || !r.json || !r.json.id) return null;
+        try { localStorage.setItem(secretKey(r.json.id), r.json.editSecret); } catch (e) { /* private mode */ }
+        return { id: r.json.id, editSecret: r.json.editSecret };
+    }
+
+    // Encrypted token (POST /encrypt) when the server has a CONFIG_SECRET
+    async function requestEncryptedToken(config) {
+        const r = await postJson('/encrypt', 'POST', config);
+        return r.ok && r.json && typeof r.json.token === 'string' ? r.json.token : null;
+    }
+
+    // Signed token (POST /sign): readable but rejected by the server if edited
+    async function requestSignedToken(config, expiresInDays) {
+        const query = expiresInDays > 0 ? `?expiresInDays=${expiresInDays}` : '';
+        const r = await postJson('/sign' + query, 'POST', config);
+        return r.ok && r.json && typeof r.json.token === 'string' ? r.json : null;
+    }
+
+    // Token preference: stored short id > encrypted token > signed token > plain base64url
+    async function buildUrls(config, { expiresInDays = 0 } = {}) {
+        let token = null;
+        let signed;
+        const stored = await requestStoredId(config);
+        if (stored) {
+            token = stored.id;
+            if (stored.updated) {
+                appendDetail('✔ Stored config updated (same manifest URL, no reinstall needed)');
+            } else {
+                appendDetail(`✔ Config stored on server as ${stored.id}`);
+                appendDetail(`Edit secret (keep it to update or delete this config from another browser): ${stored.editSecret}`);
+            }
+        } else if ((token = await requestEncryptedToken(config))) {
+            appendDetail('✔ Token built (encrypted)');
+        } else if ((signed = await requestSignedToken(config, expiresInDays))) {
+            token = signed.token;
+            appendDetail('✔ Token built (signed, not encrypted)');
+            if (signed.expiresAt) appendDetail(`✔ Link expires on ${new Date(signed.expiresAt).toLocaleDateString()}`);
+        } else {
+            appendDetail('✔ Token built (not encrypted: server has no CONFIG_SECRET)');
+        }
+        if (!token) token = encodeConfigBase64Url(config);
         const origin = window.location.origin;
         manifestUrl = `${origin}/${token}/manifest.json`;
         const hostPart = origin.replace(/^https?:\/\//, '');
@@ -200,6 +280,26 @@
         return { token, manifestUrl, stremioUrl };
     }
 
+    /* -------- Stored config deletion -------- */
+
+    const deleteBtn = document.getElementById('deleteStoredConfigBtn');
+    if (deleteBtn && storedId) {
+        deleteBtn.style.display = '';
+        deleteBtn.addEventListener('click', async () => {
+            const secret = localStorage.getItem(secretKey(storedId)) || window.prompt('Edit secret for this configuration:');
+            if (!secret) return;
+            if (!window.confirm('Delete this configuration from the server? The installed addon will stop working.')) return;
+            const r = await postJson(`/config/${storedId}`, 'DELETE', undefined, { 'X-Edit-Secret': secret });
+            if (!r.ok) {
+                window.alert(r.status === 403 ? 'Invalid edit secret.' : 'Delete failed: ' + ((r.json && r.json.error) || r.status));
+                return;
+            }
+            try { localStorage.removeItem(secretKey(storedId)); } catch (e) { /* ignore */ }
+            window.alert('Configuration deleted.');
+            window.location.href = '/';
+        });
+    }
+
     /* -------- Public API -------- */
 
     window.ConfigureCommon = {
@@ -11,7 +11,14 @@
     const epgInput       = document.getElementById('epgUrl');
     const enableEpgChk   = document.getElementById('enableEpg');
     const epgOffsetInput = document.getElementById('epgOffsetHours');
+    const timezoneInput  = document.getElementById('displayTimezone');
     const debugChk       = document.getElementById('debugMode');
+    const refreshInput   = document.getElementById('refreshInterval');
+    const relayChk       = document.getElementById('streamRelay');
+    const tmdbKeyInput   = document.getElementById('tmdbKey');
+    const languageSelect = document.getElementById('language');
+    const regionInput    = document.getElementById('region');
+    const expiryInput    = document.getElementById('expiresInDays');
 
     const {
         showOverlay,
@@ -28,6 +35,17 @@
         return;
     }
 
+    if (languageSelect) {
+        const browserLang = (navigator.language || '').toLowerCase();
+        const option = [...languageSelect.options].find(o => o.value.toLowerCase() === browserLang)
+            || [...languageSelect.options].find(o => o.value.slice(0, 2) === browserLang.slice(0, 2));
+        if (option) languageSelect.value = option.value;
+    }
+
+    if (timezoneInput && !timezoneInput.value) {
+        try { timezoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || ''; } catch { /* ignore */ }
+    }
+
     function validateUrl(u) {
         try {
             const x = new URL(u);
@@ -138,7 +156,17 @@
         const enableEpgInitial = enableEpgChk.checked;
         const epgUrl = epgInput.value.trim();
         const epgOffsetHours = epgOffsetInput.value ? parseFloat(epgOffsetInput.value) : 0;
+        const displayTimezone = timezoneInput ? timezoneInput.value.trim() : '';
         const debug = !!(debugChk && debugChk.checked);
+        const refreshInterval = refreshInput && refreshInput.value ? parseInt(refreshInput.value, 10) : 0;
+        const streamRelay = !!(relayChk && relayChk.checked);
+        const tmdbKey = tmdbKeyInput ? tmdbKeyInput.value.trim() : '';
+        const language = languageSelect ? languageSelect.value : '';
+        const region = regionInput ? regionInput.value.trim().toUpperCase() : '';
+        const expiresInDays = expiryInput && expiryInput.value ? parseInt(expiryInput.value, 10) : 0;
+        const catalogSortSelect = document.getElementById('catalogSort');
+        const catalogSort = catalogSortSelect ? catalogSortSelect.value : '';
+        const sortRails = [...document.querySelectorAll('.sort-rail:checked')].map(cb => cb.value);
 
         if (!validateUrl(m3uUrl)) {
             alert('Invalid M3U URL');
@@ -216,10 +244,18 @@
                 provider: 'direct',
                 m3uUrl,
                 enableEpg: enableEpgFinal,
+                tmdbKey: tmdbKey || undefined,
+                language: language || undefined,
+                region: /^[A-Z]{2}$/.test(region) ? region : undefined,
+                catalogSort: catalogSort && catalogSort !== 'year' ? catalogSort : undefined,
+                sort_rails: sortRails.length > 0 ? sortRails : undefined,
                 debug: debug || undefined
             };
             if (enableEpgFinal && epgUrl) config.epgUrl = epgUrl;
             if (isFinite(epgOffsetHours) && epgOffsetHours !== 0) config.epgOffsetHours = epgOffsetHours;
+            if (displayTimezone) config.displayTimezone = displayTimezone;
+            if (refreshInterval >= 15) config.refreshInterval = refreshInterval;
+            if (streamRelay) config.streamRelay = true;
 
             config.prescan = {
                 entries: items.length,
@@ -231,8 +267,7 @@
 
             config.instanceId = config.instanceId || uuid();
 
-            const { manifestUrl, stremioUrl } = buildUrls(config);
-            appendDetail('✔ Token built');
+            const { manifestUrl, stremioUrl } = await buildUrls(config, { expiresInDays });
             appendDetail('Manifest URL: ' + manifestUrl);
             appendDetail('Stremio URL: ' + stremioUrl);
 
@@ -47,7 +47,7 @@ async function fetchData(addonInstance) {
     addonInstance.epgData = {};
 
     // Fetch playlist
-    let playlistText;
+    let playlist;
     {
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), 45000);
@@ -57,13 +57,13 @@ async function fetchData(addonInstance) {
                 headers: { 'User-Agent': 'Stremio M3U/EPG Addon (directProvider)' }
             });
             if (!resp.ok) throw new Error(`M3U fetch failed (${resp.status})`);
-            playlistText = await resp.text();
+            playlist = await resp.buffer(); // decoded in the parser worker
         } finally {
             clearTimeout(timeout);
         }
     }
 
-    const items = addonInstance.parseM3U(playlistText);
+    const items = await addonInstance.parseM3U(playlist);
 
     // Separate by type (already heuristically assigned in parseM3U)
     addonInstance.channels = items.filter(i => i.type === 'tv');
@@ -102,10 +102,13 @@ async function fetchData(addonInstance) {
                 episodesMap.set(seriesId, []);
             }
 
-            const episodeId = `iptv_series_ep_${hash(seriesId + ep.url + se.season + '_' + se.episode)}`;
+            // Self-describing id: series hash, season, episode, url hash
+            const episodeId = `iptv_series_ep_${seriesHash}_${se.season}_${se.episode}_${hash(ep.url)}`;
 
             episodesMap.get(seriesId).push({
                 id: episodeId,
+                // Pre self-describing id, still found in saved libraries / watch history
+                legacyId: `iptv_series_ep_${hash(seriesId + ep.url + se.season + '_' + se.episode)}`,
                 title: ep.name,
                 season: se.season,
                 episode: se.episode,
@@ -140,8 +143,8 @@ async function fetchData(addonInstance) {
                 clearTimeout(timeout);
             }
             if (epgResp && epgResp.ok) {
-                const epgContent = await epgResp.text();
-                addonInstance.epgData = await addonInstance.parseEPG(epgContent);
+                // Stream the body (plain or .xml.gz) straight into the parser
+                addonInstance.epgData = await addonInstance.parseEPG(epgResp.body);
             }
         } catch {
             // ignore EPG errors
@@ -154,11 +157,29 @@ async function fetchSeriesInfo(addonInstance, seriesId) {
     if (!seriesId) return { videos: [] };
     // Accept either raw or with prefix
     const normalized = seriesId.toString().replace(/^iptv_series_/, '');
-    const episodes = addonInstance.directSeriesEpisodeIndex.get(normalized) || [];
+    const episodes = addonInstance.directSeriesEpisodeIndex?.get(normalized) || [];
     return { videos: episodes, fetchedAt: Date.now() };
 }
 
+async function resolveEpisode(addonInstance, ref) {
+    // Episodes live in directSeriesEpisodeIndex (rebuilt on fetch, restored from cache)
+    const episodes = addonInstance.directSeriesEpisodeIndex?.get(ref.seriesId) || [];
+    return episodes.find(e => e.id.endsWith(`_${ref.streamId}`))
+        || episodes.find(e => e.season === ref.season && e.episode === ref.episode)
+        || null;
+}
+
+async function resolveLegacyEpisode(addonInstance, epId) {
+    for (const episodes of (addonInstance.directSeriesEpisodeIndex || new Map()).values()) {
+        const found = episodes.find(e => e.legacyId === epId);
+        if (found) return found;
+    }
+    return null;
+}
+
 module.exports = {
     fetchData,
-    fetchSeriesInfo
+    fetchSeriesInfo,
+    resolveEpisode,
+    resolveLegacyEpisode
 };
\ No newline at end of file
@@ -36,8 +36,7 @@ async function fetchData(addonInstance) {
             headers: { 'User-Agent': 'Stremio M3U/EPG Addon (xtreamProvider/m3u)' }
         });
         if (!resp.ok) throw new Error('Xtream M3U fetch failed');
-        const text = await resp.text();
-        const items = addonInstance.parseM3U(text);
+        const items = await addonInstance.parseM3U(await resp.buffer());
 
         addonInstance.channels = items.filter(i => i.type === 'tv');
         addonInstance.movies = items.filter(i => i.type === 'movie');
@@ -118,6 +117,10 @@ async function fetchData(addonInstance) {
                 logo: s.stream_icon,
                 category: cat,
                 epg_channel_id: s.epg_channel_id,
+                // Archive (catch-up) : rejoué via l'URL timeshift du panel
+                catchup: Number(s.tv_archive) === 1
+                    ? { type: 'xc', source: null, days: parseInt(s.tv_archive_duration, 10) || 0 }
+                    : undefined,
                 attributes: {
                     'tvg-logo': s.stream_icon,
                     'tvg-id': s.epg_channel_id,
@@ -138,6 +141,8 @@ async function fetchData(addonInstance) {
                 imdb_id: s.imdb_id,
                 tmdb_id: s.tmdb_id,
                 year: s.releasedate ? new Date(s.releasedate).getFullYear() : null,
+                added: toTimestamp(s.added),
+                rating: toRating(s),
                 category: cat,
                 attributes: {
                     'tvg-logo': s.stream_icon,
@@ -179,6 +184,9 @@ async function fetchData(addonInstance) {
                                 plot: s.plot,
                                 imdb_id: s.imdb_id,
                                 tmdb_id: s.tmdb_id,
+                                year: parseYear(s.releaseDate || s.release_date || s.year),
+                                added: toTimestamp(s.last_modified),
+                                rating: toRating(s),
                                 category: cat,
                                 attributes: {
                                     'tvg-logo': s.cover,
@@ -205,8 +213,8 @@ async function fetchData(addonInstance) {
         try {
             const epgResp = await fetch(epgSource, { timeout: 45000 });
             if (epgResp.ok) {
-                const epgContent = await epgResp.text();
-                addonInstance.epgData = await addonInstance.parseEPG(epgContent);
+                // Stream the body (plain or .xml.gz) straight into the parser
+                addonInstance.epgData = await addonInstance.parseEPG(epgResp.body);
             }
         } catch {
             // Ignore EPG errors
@@ -234,12 +242,16 @@ async function fetchSeriesInfo(addonInstance, seriesId) {
                 for (const ep of seasonEpisodes) {
                     const epId = ep.id;
                     const container = ep.container_extension || 'mp4';
-                    const url = `${config.xtreamUrl}/series/${encodeURIComponent(config.xtreamUsername)}/${encodeURIComponent(config.xtreamPassword)}/${epId}.${container}`;
+                    const url = episodeUrl(config, epId, container);
+                    const season = parseInt(ep.season || seasonKey, 10);
+                    const episode = parseInt(ep.episode_num || ep.episode || 0, 10);
                     videos.push({
-                        id: `iptv_series_ep_${epId}`,
+                        // Self-describing id: series, season, episode and stream (+container) -> resolvable without get_series_info
+                        id: `iptv_series_ep_${seriesId}_${season}_${episode}_${epId}.${container}`,
+                        legacyId: `iptv_series_ep_${epId}`,
                         title: ep.title || `Episode ${ep.episode_num}`,
-                        season: parseInt(ep.season || seasonKey, 10),
-                        episode: parseInt(ep.episode_num || ep.episode || 0, 10),
+                        season,
+                        episode,
                         released: ep.releasedate || ep.added || null,
                         thumbnail: ep.info?.movie_image || ep.info?.episode_image || ep.info?.cover_big || null,
                         url,
@@ -256,11 +268,64 @@ async function fetchSeriesInfo(addonInstance, seriesId) {
     }
 }
 
+// Xtream timestamps are unix seconds as strings
+function toTimestamp(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? n * 1000 : null;
+}
+
+// rating is /10; some panels only fill rating_5based
+function toRating(s) {
+    const r = parseFloat(s.rating);
+    if (Number.isFinite(r) && r > 0) return r;
+    const r5 = parseFloat(s.rating_5based);
+    return Number.isFinite(r5) && r5 > 0 ? r5 * 2 : null;
+}
+
+function parseYear(value) {
+    const m = String(value || '').match(/(19|20)\d{2}/);
+    return m ? parseInt(m[0], 10) : null;
+}
+
+function episodeUrl(config, streamId, container) {
+    return `${config.xtreamUrl}/series/${encodeURIComponent(config.xtreamUsername)}/${encodeURIComponent(config.xtreamPassword)}/${streamId}.${container}`;
+}
+
+/**
+ * Resolve a parsed self-describing episode id ({ seriesId, season, episode, streamId }) to a playable entry.
+ * The stream id carries the container extension, so the URL is rebuilt from the config alone.
+ */
+async function resolveEpisode(addonInstance, ref) {
+    const { config } = addonInstance;
+    if (!config || !config.xtreamUrl || !config.xtreamUsername || !config.xtreamPassword) return null;
+    const m = ref.streamId.match(/^(\d+)\.(\w+)$/);
+    if (!m) return null;
+    return {
+        url: episodeUrl(config, m[1], m[2]),
+        season: ref.season,
+        episode: ref.episode,
+        stream_id: m[1]
+    };
+}
+
 function cryptoHash(text) {
     return require('crypto').createHash('md5').update(text).digest('hex').slice(0, 12);
 }
 
+/**
+ * Legacy episode id (iptv_series_ep_<stream id>): it carries neither the series id needed for get_series_info
+ * nor the container, so only episodes already listed by a series fetch (episodesById, keyed by legacyId too)
+ * resolve. Anything else returns null rather than a URL with a guessed extension.
+ */
+async function resolveLegacyEpisode(addonInstance, epId) {
+    if (!/^iptv_series_ep_\d+$/.test(epId)) return null;
+    const ep = addonInstance.episodesById && addonInstance.episodesById.get(epId);
+    return ep && ep.url ? ep : null;
+}
+
 module.exports = {
     fetchData,
-    fetchSeriesInfo
+    fetchSeriesInfo,
+    resolveEpisode,
+    resolveLegacyEpisode
 };
\ No newline at end of file
@@ -15,10 +15,16 @@
     const togglePwdBtn = document.getElementById('togglePwd');
     const enableEpgChk = document.getElementById('enableEpg');
     const epgOffsetInput = document.getElementById('epgOffsetHours');
+    const timezoneInput = document.getElementById('displayTimezone');
     const debugChk = document.getElementById('debugMode');
+    const refreshInput = document.getElementById('refreshInterval');
+    const relayChk = document.getElementById('streamRelay');
     const customEpgGroup = document.getElementById('customEpgGroup');
     const customEpgUrlInp = document.getElementById('customEpgUrl');
     const tmdbKeyInput = document.getElementById('tmdbKey');
+    const languageSelect = document.getElementById('language');
+    const regionInput = document.getElementById('region');
+    const expiryInput = document.getElementById('expiresInDays');
 
     const epgModeRadios = () => [...document.querySelectorAll('input[name="epgMode"]')];
 
@@ -69,6 +75,17 @@
     epgModeRadios().forEach(r => r.addEventListener('change', syncCustomEpgVisibility));
     syncCustomEpgVisibility();
 
+    if (languageSelect) {
+        const browserLang = (navigator.language || '').toLowerCase();
+        const option = [...languageSelect.options].find(o => o.value.toLowerCase() === browserLang)
+            || [...languageSelect.options].find(o => o.value.slice(0, 2) === browserLang.slice(0, 2));
+        if (option) languageSelect.value = option.value;
+    }
+
+    if (timezoneInput && !timezoneInput.value) {
+        try { timezoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || ''; } catch { }
+    }
+
     function validateUrl(u) {
         try {
             const parsed = new URL(u);
@@ -170,8 +187,17 @@
         const epgMode = enableEpgInitial ? selectedEpgMode() : 'disabled';
         const customEpg = (epgMode === 'custom') ? customEpgUrlInp.value.trim() : '';
         const epgOffset = epgOffsetInput.value ? parseFloat(epgOffsetInput.value) : 0;
+        const displayTimezone = timezoneInput ? timezoneInput.value.trim() : '';
         const debug = !!(debugChk && debugChk.checked);
+        const refreshInterval = refreshInput && refreshInput.value ? parseInt(refreshInput.value, 10) : 0;
+        const streamRelay = !!(relayChk && relayChk.checked);
         const tmdbKey = tmdbKeyInput ? tmdbKeyInput.value.trim() : '';
+        const language = languageSelect ? languageSelect.value : '';
+        const region = regionInput ? regionInput.value.trim().toUpperCase() : '';
+        const expiresInDays = expiryInput && expiryInput.value ? parseInt(expiryInput.value, 10) : 0;
+        const catalogSortSelect = document.getElementById('catalogSort');
+        const catalogSort = catalogSortSelect ? catalogSortSelect.value : '';
+        const sortRails = [...document.querySelectorAll('.sort-rail:checked')].map(cb => cb.value);
         
         // --- MODIFICATION ICI : On ajoute les SÉRIES ---
         const movieCats = [...document.querySelectorAll('.home-category-select.movie')]
@@ -331,12 +357,16 @@
                 xtreamUsername: username,
                 xtreamPassword: password,
                 tmdbKey: tmdbKey || undefined,
+                language: language || undefined,
+                region: /^[A-Z]{2}$/.test(region) ? region : undefined,
                 enableEpg: enableEpgFinal,
                 debug: debug || undefined,
                 home_movies_list: movieCats.length > 0 ? movieCats : undefined,
                 home_tvs_list: tvCats.length > 0 ? tvCats : undefined,
                 home_series_list: seriesCats.length > 0 ? seriesCats : undefined, // Ajouté ici
                 blacklisted_cats: blacklisted.length > 0 ? blacklisted : undefined,
+                catalogSort: catalogSort && catalogSort !== 'year' ? catalogSort : undefined,
+                sort_rails: sortRails.length > 0 ? sortRails : undefined,
                 addonName: document.getElementById('addonName') ? document.getElementById('addonName').value.trim() : undefined
             };
 
@@ -344,6 +374,9 @@
                 config.epgUrl = customEpgUrlInp.value.trim();
             }
             if (isFinite(epgOffset) && epgOffset !== 0) config.epgOffsetHours = epgOffset;
+            if (displayTimezone) config.displayTimezone = displayTimezone;
+            if (refreshInterval >= 15) config.refreshInterval = refreshInterval;
+            if (streamRelay) config.streamRelay = true;
 
             config.prescan = {
                 liveCount,
@@ -363,8 +396,7 @@
             const passHash = await sha256Fragment(password);
             appendDetail(`Password hash fragment: ${passHash}`);
 
-            const { manifestUrl, stremioUrl } = buildUrls(config);
-            appendDetail('✔ Token built');
+            const { manifestUrl, stremioUrl } = await buildUrls(config, { expiresInDays });
             appendDetail('Manifest URL: ' + manifestUrl);
             appendDetail('Stremio URL: ' + stremioUrl);
 
@@ -0,0 +1,292 @@
+// streamRelay.js
+// Credential-hiding stream relay (/:token/play/:id): provider URLs such as /live/<user>/<pass>/<id>.m3u8
+// are resolved and fetched server side, the client only ever sees relay URLs.
+// - Redirects are followed hop by hop. Every host is resolved and each resolved address is checked against
+//   local / private ranges; the connection then goes to the checked address (no DNS rebinding window)
+// - HLS playlists are rewritten so variants, segments and keys also go through the relay; their real URL
+//   (and request headers) travel sealed (AES-256-GCM, key derived from the token and a server secret) in the
+//   `u` query parameter
+// - Other responses (MPEG-TS, MP4, segments...) are piped through, Range requests included
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+const { pipeline } = require('stream/promises');
+const { keyDigest, isDigestKeyed } = require('./cryptoConfig');
+
+const MAX_REDIRECTS = 5;
+const PLAYLIST_MAX_BYTES = parseInt(process.env.RELAY_PLAYLIST_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const CONNECT_TIMEOUT_MS = parseInt(process.env.RELAY_TIMEOUT_MS || '15000', 10);
+const ALLOW_PRIVATE = (process.env.RELAY_ALLOW_PRIVATE || 'false').toLowerCase() === 'true';
+const DEFAULT_HEADERS = { 'User-Agent': 'Mozilla/5.0' };
+const FORWARD_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+function relayError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Non public address ranges (loopback, private, CGNAT, link-local, ULA, multicast, reserved...)
+const blockedRanges = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) blockedRanges.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) blockedRanges.addSubnet(prefix, bits, 'ipv6');
+
+/**
+ * True for an IP address outside the public internet. IPv4-mapped / compatible IPv6 addresses
+ * (::ffff:127.0.0.1) are checked as the IPv4 address they carry.
+ */
+function isBlockedAddress(address) {
+    const ip = String(address).replace(/^\[|\]$/g, '');
+    const family = net.isIP(ip);
+    if (family === 4) return blockedRanges.check(ip, 'ipv4');
+    if (family !== 6) return true;
+    const mapped = ip.match(/^::(?:ffff:(?:0:)?)?(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return blockedRanges.check(mapped[1], 'ipv4');
+    const hexMapped = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (hexMapped) {
+        const hi = parseInt(hexMapped[1], 16), lo = parseInt(hexMapped[2], 16);
+        return blockedRanges.check(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`, 'ipv4');
+    }
+    return blockedRanges.check(ip, 'ipv6');
+}
+
+/**
+ * Quick check on a URL hostname before any request (shared with /api/prefetch). Names are only really
+ * checked once resolved, see safeLookup.
+ */
+function isBlockedHost(host) {
+    const name = String(host).replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(name)) return isBlockedAddress(name);
+    return name === 'localhost' || name.endsWith('.localhost') || name.endsWith('.local') || name.endsWith('.internal');
+}
+
+// dns.lookup replacement for the HTTP agents: every address of the name must be public, and the
+// socket connects to the addresses checked here
+function safeLookup(hostname, options, callback) {
+    if (typeof options === 'function') { callback = options; options = {}; }
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!ALLOW_PRIVATE && (!addresses.length || addresses.some(a => isBlockedAddress(a.address)))) {
+            return callback(Object.assign(new Error(`Blocked host ${hostname}`), { code: 'EBLOCKEDHOST' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// IP literals skip the lookup: they are checked when the socket is created
+function guarded(Agent) {
+    return class extends Agent {
+        createConnection(options, callback) {
+            if (!ALLOW_PRIVATE && net.isIP(options.host) && isBlockedAddress(options.host)) {
+                callback(Object.assign(new Error(`Blocked host ${options.host}`), { code: 'EBLOCKEDHOST' }));
+                return undefined;
+            }
+            return super.createConnection(options, callback);
+        }
+    };
+}
+
+const agents = {
+    'http:': new (guarded(http.Agent))({ keepAlive: true, lookup: safeLookup }),
+    'https:': new (guarded(https.Agent))({ keepAlive: true, lookup: safeLookup })
+};
+
+/**
+ * node-fetch `agent` option: names resolved through safeLookup, IP literals checked, on every request
+ * including the redirects node-fetch follows itself.
+ */
+function safeAgent(parsedUrl) {
+    return agents[parsedUrl.protocol];
+}
+
+// Without a server secret keyDigest is a plain sha256 anyone holding the manifest URL could compute,
+// which would let them seal arbitrary upstream URLs: fall back to a random per-process key instead
+let processKey = null;
+
+function relayKey(token) {
+    if (isDigestKeyed()) return Buffer.from(keyDigest('relay:' + token), 'hex');
+    if (!processKey) {
+        processKey = crypto.randomBytes(32);
+        console.warn('[RELAY] No CACHE_KEY_SECRET / CONFIG_SECRET set: relay URLs are sealed with a random key, ' +
+            'they stop working after a restart and are not valid on other replicas');
+    }
+    return crypto.createHmac('sha256', processKey).update('relay:' + token).digest();
+}
+
+// Deterministic IV (HMAC of the payload): a live playlist refetched every few seconds keeps the same
+// relay URL for the same segment
+function seal(key, url, headers) {
+    const plain = Buffer.from(JSON.stringify([url, headers]), 'utf8');
+    const iv = crypto.createHmac('sha256', key).update(plain).digest().subarray(0, 12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function unseal(key, sealed) {
+    const buf = Buffer.from(sealed, 'base64url');
+    if (buf.length < 12 + 16 + 1) throw relayError(400, 'Bad relay URL');
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, 12));
+        decipher.setAuthTag(buf.subarray(12, 28));
+        const plain = Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+        const [url, headers] = JSON.parse(plain.toString('utf8'));
+        return { url, headers };
+    } catch {
+        throw relayError(400, 'Bad relay URL');
+    }
+}
+
+/**
+ * Fetch `url`, following redirects manually so every hop is checked. Returns { resp, url } (final URL).
+ */
+async function fetchUpstream(url, headers, signal) {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const u = new URL(url);
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') throw relayError(400, 'Only http(s) streams can be relayed');
+        // IP literals never go through the agent lookup: checked here
+        if (!ALLOW_PRIVATE && isBlockedHost(u.hostname)) throw relayError(403, 'Blocked host');
+        let resp;
+        try {
+            resp = await fetch(url, { headers, signal, redirect: 'manual', compress: false, agent: safeAgent });
+        } catch (e) {
+            if (e.code === 'EBLOCKEDHOST') throw relayError(403, 'Blocked host');
+            throw e;
+        }
+        const location = resp.headers.get('location');
+        if (resp.status >= 300 && resp.status < 400 && location) {
+            resp.body.resume();
+            url = new URL(location, url).href;
+            continue;
+        }
+        return { resp, url };
+    }
+    throw relayError(502, 'Too many redirects');
+}
+
+function isPlaylist(resp, url) {
+    const type = (resp.headers.get('content-type') || '').toLowerCase();
+    return type.includes('mpegurl') || /\.m3u8$/i.test(new URL(url).pathname);
+}
+
+async function readLimited(body, limit) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of body) {
+        size += chunk.length;
+        if (size > limit) {
+            body.destroy();
+            throw relayError(502, 'Playlist too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Point every URI of an HLS playlist (media lines and URI="..." attributes) at the relay.
+ * @param {string} text
+ * @param {string} baseUrl       final playlist URL, relative URIs are resolved against it
+ * @param {function} relayUrl    absolute upstream URL -> relay URL
+ */
+function rewritePlaylist(text, baseUrl, relayUrl) {
+    return text.split(/\r?\n/).map((line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]+)"/g, (m, uri) => `URI="${relayUrl(new URL(uri, baseUrl).href)}"`);
+        }
+        return relayUrl(new URL(trimmed, baseUrl).href);
+    }).join('\n');
+}
+
+/**
+ * Serve one relay request.
+ * @param {object} req        express request (`u` query parameter = sealed playlist entry)
+ * @param {object} res
+ * @param {object} opts
+ * @param {string} opts.token  config token (sealing key scope)
+ * @param {string} opts.id     stream id
+ * @param {function} opts.resolve  async () -> stream object from the addon ({ url, behaviorHints }) or null
+ */
+async function relayStream(req, res, { token, id, resolve }) {
+    const key = relayKey(token);
+    let target;
+    if (req.query.u) {
+        target = unseal(key, String(req.query.u));
+    } else {
+        const stream = await resolve();
+        if (!stream || !stream.url) throw relayError(404, 'Stream not found');
+        target = { url: stream.url, headers: stream.behaviorHints?.proxyHeaders?.request || DEFAULT_HEADERS };
+    }
+
+    const headers = { ...target.headers };
+    if (req.headers.range) headers.Range = req.headers.range;
+
+    // Abort the upstream request when the player goes away; the timeout only covers getting the headers
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONNECT_TIMEOUT_MS);
+    let clientGone = false;
+    res.on('close', () => {
+        clientGone = true;
+        controller.abort();
+    });
+    let upstream;
+    try {
+        upstream = await fetchUpstream(target.url, headers, controller.signal);
+    } catch (e) {
+        if (clientGone) return;
+        if (e.name === 'AbortError') throw relayError(504, 'Upstream timeout');
+        throw e.status ? e : relayError(502, `Upstream error: ${e.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+    const { resp, url } = upstream;
+    if (!resp.ok && resp.status !== 416) {
+        resp.body.resume();
+        throw relayError(502, `Upstream responded ${resp.status}`);
+    }
+
+    // Only complete responses are rewritten; a 416 goes through unchanged below
+    if (resp.ok && isPlaylist(resp, url)) {
+        let text;
+        try {
+            text = await readLimited(resp.body, PLAYLIST_MAX_BYTES);
+        } catch (e) {
+            if (clientGone) return;
+            throw e.status ? e : relayError(502, `Upstream error: ${e.message}`);
+        }
+        // "./" keeps ids containing ':' (catchup / EPG entries) from being read as a URL scheme
+        const self = `./${encodeURIComponent(id)}?u=`;
+        const body = rewritePlaylist(text, url, (abs) => self + seal(key, abs, target.headers));
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.setHeader('Cache-Control', 'no-cache');
+        return res.status(200).send(body);
+    }
+
+    res.status(resp.status);
+    for (const name of FORWARD_HEADERS) {
+        const value = resp.headers.get(name);
+        if (value) res.setHeader(name, value);
+    }
+    try {
+        await pipeline(resp.body, res);
+    } catch { /* player closed the connection */ }
+}
+
+module.exports = {
+    relayStream,
+    rewritePlaylist,
+    isBlockedHost,
+    isBlockedAddress,
+    safeAgent
+};
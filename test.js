@@ -0,0 +1,727 @@
+// test.js
+// Unit tests for the standalone modules (npm test). No framework: each test is a function, failures
+// are reported and make the process exit with code 1.
+const assert = require('assert');
+const zlib = require('zlib');
+
+const tests = [];
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+// --- m3uParser ---
+
+const { parseM3U, parseAttributes } = require('./m3uParser');
+
+test('m3uParser: attributes with commas, quotes and unquoted values', () => {
+    assert.deepStrictEqual(parseAttributes('tvg-id="a.b" group-title="News, Sport" radio=true'), {
+        'tvg-id': 'a.b', 'group-title': 'News, Sport', radio: 'true'
+    });
+});
+
+test('m3uParser: classifies channels, movies and episodes', () => {
+    const items = parseM3U([
+        '#EXTM3U url-tvg="http://epg/guide.xml"',
+        '#EXTINF:-1 tvg-id="ch1" tvg-logo="http://l/1.png" group-title="News, Info",Channel, One',
+        'http://host/live/u/p/1.ts',
+        '#EXTINF:-1 group-title="Films",Alien (1979)',
+        'http://host/movie/u/p/2.mkv',
+        '#EXTINF:-1 group-title="Series",Show S01E02',
+        'http://host/series/u/p/3.mkv'
+    ].join('\n'));
+    assert.strictEqual(items.header['url-tvg'], 'http://epg/guide.xml');
+    assert.deepStrictEqual(items.map(i => i.type), ['tv', 'movie', 'series']);
+    assert.strictEqual(items[0].name, 'Channel, One');
+    assert.strictEqual(items[0].category, 'News, Info');
+    assert.strictEqual(items[0].logo, 'http://l/1.png');
+    assert.strictEqual(items[1].year, 1979);
+    assert.ok(items[0].id.startsWith('iptv_live_'));
+    assert.ok(items[1].id.startsWith('iptv_vod_'));
+});
+
+test('m3uParser: EXTGRP, EXTVLCOPT headers, catch-up and duplicate URLs', () => {
+    const items = parseM3U([
+        '\uFEFF#EXTM3U',
+        '#EXTINF:-1 catchup="xc" catchup-days="3",Replay',
+        '#EXTGRP:Sports',
+        '#EXTVLCOPT:http-user-agent=Player/1.0',
+        '#EXTVLCOPT:http-referrer=http://ref/',
+        'http://host/a.m3u8',
+        '#EXTINF:-1,Same again',
+        'http://host/a.m3u8'
+    ].join('\r\n'));
+    assert.strictEqual(items[0].category, 'Sports');
+    assert.deepStrictEqual(items[0].headers, { 'User-Agent': 'Player/1.0', Referer: 'http://ref/' });
+    assert.deepStrictEqual(items[0].catchup, { type: 'xc', source: null, days: 3 });
+    assert.strictEqual(items[1].id, `${items[0].id}_1`);
+    assert.strictEqual(items[1].headers, undefined);
+});
+
+// --- epgParser ---
+
+const { parseEPG, parseXmltvTime } = require('./epgParser');
+
+test('epgParser: XMLTV times with and without offset', () => {
+    assert.strictEqual(parseXmltvTime('20240101120000 +0000'), Date.UTC(2024, 0, 1, 12));
+    assert.strictEqual(parseXmltvTime('20240101120000 +0200'), Date.UTC(2024, 0, 1, 10));
+    assert.strictEqual(parseXmltvTime('20240101120000 -0130'), Date.UTC(2024, 0, 1, 13, 30));
+    assert.strictEqual(parseXmltvTime('20240101120000'), Date.UTC(2024, 0, 1, 12));
+    assert.ok(Number.isNaN(parseXmltvTime('')));
+});
+
+const EPG_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<tv>
+  <programme start="20240101130000 +0000" stop="20240101140000 +0000" channel="ch1">
+    <title lang="en">Second</title><title lang="fr">Deuxième</title>
+    <category>Sport</category><category>Sport</category>
+    <episode-num system="xmltv_ns">1.4.</episode-num>
+  </programme>
+  <programme start="20240101120000 +0000" stop="20240101130000 +0000" channel="ch1">
+    <title>First &amp; best</title><desc><![CDATA[Some <b>text</b>]]></desc>
+    <icon src="http://i/1.png"/>
+  </programme>
+  <programme start="20230101120000 +0000" stop="20230101130000 +0000" channel="ch1"><title>Too old</title></programme>
+</tv>`;
+
+test('epgParser: parses, filters to the window and sorts programmes', async () => {
+    const epg = await parseEPG(EPG_XML, { now: Date.UTC(2024, 0, 1, 12, 30), pastHours: 24, futureHours: 24 });
+    const list = epg.ch1;
+    assert.deepStrictEqual(list.map(p => p.title), ['First & best', 'Second']);
+    assert.strictEqual(list[0].desc, 'Some <b>text</b>');
+    assert.strictEqual(list[0].icon, 'http://i/1.png');
+    assert.deepStrictEqual(list[1].categories, ['Sport']);
+    assert.strictEqual(list[1].season, 2);
+    assert.strictEqual(list[1].episode, 5);
+});
+
+test('epgParser: gzip buffers are decoded', async () => {
+    const epg = await parseEPG(zlib.gzipSync(EPG_XML), { now: Date.UTC(2024, 0, 1, 12, 30) });
+    assert.strictEqual(epg.ch1.length, 2);
+});
+
+// --- catchup ---
+
+const { buildCatchupUrl } = require('./catchup');
+
+const CATCHUP_START = new Date(Date.now() - 2 * 3600000);
+const CATCHUP_STOP = new Date(CATCHUP_START.getTime() + 30 * 60000);
+
+test('catchup: Xtream timeshift URL for xc channels', () => {
+    const url = buildCatchupUrl({ url: 'http://h:8080/live/u/p/42.ts', catchup: { type: 'xc', days: 2 } },
+        CATCHUP_START, CATCHUP_STOP, { timeZone: 'UTC' });
+    const d = CATCHUP_START.toISOString();
+    assert.strictEqual(url, `http://h:8080/timeshift/u/p/30/${d.slice(0, 10)}:${d.slice(11, 13)}-${d.slice(14, 16)}/42.ts`);
+});
+
+test('catchup: templates, shift and flussonic', () => {
+    const startS = Math.floor(CATCHUP_START.getTime() / 1000);
+    assert.strictEqual(
+        buildCatchupUrl({ url: 'http://h/ch.m3u8', catchup: { type: 'default', source: '?utc={utc}&d={duration:60}' } }, CATCHUP_START, CATCHUP_STOP),
+        `http://h/ch.m3u8?utc=${startS}&d=30`);
+    assert.ok(buildCatchupUrl({ url: 'http://h/ch.m3u8?a=1', catchup: { type: 'shift' } }, CATCHUP_START, CATCHUP_STOP)
+        .startsWith(`http://h/ch.m3u8?a=1&utc=${startS}&lutc=`));
+    assert.strictEqual(
+        buildCatchupUrl({ url: 'http://h/ch/index.m3u8', catchup: { type: 'flussonic' } }, CATCHUP_START, CATCHUP_STOP),
+        `http://h/ch/index-${startS}-1800.m3u8`);
+});
+
+test('catchup: template-less default only guesses Xtream for Xtream channels', () => {
+    const item = { url: 'http://h/a/b/123', catchup: { type: 'default' } };
+    assert.strictEqual(buildCatchupUrl(item, CATCHUP_START, CATCHUP_STOP), null);
+    assert.ok(buildCatchupUrl(item, CATCHUP_START, CATCHUP_STOP, { provider: 'xtream' }).includes('/timeshift/a/b/30/'));
+});
+
+test('catchup: programmes outside the archive window are refused', () => {
+    const old = new Date(Date.now() - 3 * 86400000);
+    assert.strictEqual(buildCatchupUrl({ url: 'http://h/live/u/p/1.ts', catchup: { type: 'xc', days: 1 } }, old, new Date(old.getTime() + 60000)), null);
+});
+
+// --- cryptoConfig ---
+
+// Runs fn with the given variables (undefined = unset), restored once fn returns or its promise settles
+function withEnv(vars, fn) {
+    const saved = {};
+    for (const k of Object.keys(vars)) {
+        saved[k] = process.env[k];
+        if (vars[k] === undefined) delete process.env[k]; else process.env[k] = vars[k];
+    }
+    const restore = () => {
+        for (const k of Object.keys(saved)) {
+            if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k];
+        }
+    };
+    let result;
+    try {
+        result = fn();
+    } catch (e) {
+        restore();
+        throw e;
+    }
+    if (result && typeof result.then === 'function') return result.finally(restore);
+    restore();
+    return result;
+}
+
+const cryptoConfig = require('./cryptoConfig');
+const NO_SECRETS = {
+    CONFIG_SECRET: undefined, CONFIG_SECRETS: undefined, CONFIG_SECRET_ID: undefined,
+    TOKEN_SIGNING_SECRET: undefined, TOKEN_SIGNING_SECRETS: undefined, CACHE_KEY_SECRET: undefined,
+    ALLOW_LEGACY_TOKENS: undefined
+};
+
+test('cryptoConfig: encrypted tokens round trip and survive a key rotation', () => {
+    const config = { provider: 'xtream', xtreamPassword: 'p' };
+    const token = withEnv({ ...NO_SECRETS, CONFIG_SECRET: 'old-secret-0123456789', CONFIG_SECRET_ID: 'k1' },
+        () => cryptoConfig.encryptConfig(JSON.stringify(config)));
+    assert.ok(token.startsWith('enc:k1:'));
+    withEnv({ ...NO_SECRETS, CONFIG_SECRETS: 'k2:new-secret-0123456789,k1:old-secret-0123456789' }, () => {
+        assert.deepStrictEqual(cryptoConfig.parseConfigToken(token).config, config);
+        assert.ok(cryptoConfig.encryptConfig('{}').startsWith('enc:k2:'));
+    });
+    withEnv({ ...NO_SECRETS, CONFIG_SECRET: 'new-secret-0123456789', CONFIG_SECRET_ID: 'k2' }, () => {
+        assert.throws(() => cryptoConfig.parseConfigToken(token));
+    });
+});
+
+test('cryptoConfig: signed tokens reject edits and expire', () => {
+    withEnv({ ...NO_SECRETS, TOKEN_SIGNING_SECRET: 'signing-secret-0123456789' }, () => {
+        const token = cryptoConfig.signConfig({ m3uUrl: 'http://a' });
+        const parsed = cryptoConfig.parseConfigToken(token);
+        assert.strictEqual(parsed.kind, 'signed');
+        assert.deepStrictEqual(parsed.config, { m3uUrl: 'http://a' });
+        assert.ok(parsed.jti);
+        const [body, mac] = token.split('.');
+        const payload = JSON.parse(Buffer.from(body.split(':')[2], 'base64url').toString());
+        payload.c.m3uUrl = 'http://evil';
+        const forged = `sig:${body.split(':')[1]}:${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${mac}`;
+        assert.throws(() => cryptoConfig.parseConfigToken(forged));
+        const expired = cryptoConfig.signConfig({}, { expiresAt: Date.now() - 1000 });
+        assert.throws(() => cryptoConfig.parseConfigToken(expired), /expired/);
+    });
+});
+
+test('cryptoConfig: plain tokens are refused once a secret is set, unless opted in', () => {
+    const plain = Buffer.from(JSON.stringify({ provider: 'direct' })).toString('base64url');
+    withEnv(NO_SECRETS, () => {
+        assert.strictEqual(cryptoConfig.parseConfigToken(plain).kind, 'legacy');
+    });
+    withEnv({ ...NO_SECRETS, CONFIG_SECRET: 'some-secret-0123456789' }, () => {
+        assert.throws(() => cryptoConfig.parseConfigToken(plain), e => e.status === 401);
+    });
+    withEnv({ ...NO_SECRETS, TOKEN_SIGNING_SECRET: 'signing-secret-0123456789' }, () => {
+        assert.throws(() => cryptoConfig.parseConfigToken(plain), e => e.status === 401);
+    });
+    withEnv({ ...NO_SECRETS, CONFIG_SECRET: 'some-secret-0123456789', ALLOW_LEGACY_TOKENS: 'true' }, () => {
+        assert.strictEqual(cryptoConfig.parseConfigToken(plain).kind, 'legacy');
+    });
+    withEnv({ ...NO_SECRETS, ALLOW_LEGACY_TOKENS: 'false' }, () => {
+        assert.throws(() => cryptoConfig.parseConfigToken(plain), e => e.status === 401);
+    });
+});
+
+test('cryptoConfig: keyDigest is only keyed with a server secret', () => {
+    withEnv(NO_SECRETS, () => assert.strictEqual(cryptoConfig.isDigestKeyed(), false));
+    withEnv({ ...NO_SECRETS, CACHE_KEY_SECRET: 'cache-secret-0123456789' }, () => {
+        assert.strictEqual(cryptoConfig.isDigestKeyed(), true);
+        assert.notStrictEqual(cryptoConfig.keyDigest('x'), require('crypto').createHash('sha256').update('x').digest('hex'));
+    });
+});
+
+// --- searchIndex ---
+
+const SearchIndex = require('./searchIndex');
+
+const SEARCH_ITEMS = [
+    { id: 'm1', type: 'movie', name: 'The Matrix (1999)' },
+    { id: 'm2', type: 'movie', name: 'Matrix Reloaded' },
+    { id: 'm3', type: 'movie', name: 'Amélie' },
+    { id: 's1', type: 'series', name: 'The Office' }
+];
+
+test('searchIndex: ranked matches, accents and prefixes', () => {
+    const index = SearchIndex.build(SEARCH_ITEMS);
+    const ids = index.search('matrix').map(r => r.item.id);
+    assert.deepStrictEqual(ids.sort(), ['m1', 'm2']);
+    assert.deepStrictEqual(index.search('amelie').map(r => r.item.id), ['m3']);
+    assert.ok(index.search('offi').some(r => r.item.id === 's1'));
+    assert.deepStrictEqual(index.search('matrix', { filter: i => i.id === 'm2' }).map(r => r.item.id), ['m2']);
+});
+
+test('searchIndex: compact form (worker build) maps back to the same items', () => {
+    const compact = SearchIndex.build(SEARCH_ITEMS).toCompact();
+    const index = SearchIndex.fromCompact(SEARCH_ITEMS, compact);
+    assert.strictEqual(index.search('reloaded')[0].item, SEARCH_ITEMS[1]);
+});
+
+// --- lruCache ---
+
+const LRUCache = require('./lruCache');
+
+test('lruCache: LRU order, max entries and onEvict', () => {
+    const evicted = [];
+    const cache = new LRUCache({ max: 2, onEvict: (key) => evicted.push(key) });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.deepStrictEqual([...cache.keys()].sort(), ['a', 'c']);
+    cache.delete('a');
+    assert.deepStrictEqual(evicted, ['b', 'a']);
+});
+
+test('lruCache: TTL expiry and periodic sweep behind live entries', () => {
+    let now = 1000;
+    const cache = new LRUCache({ max: 10, ttl: 100, maxBytes: 1000, sizeOf: () => 100, sweepIntervalMs: 50 });
+    cache._now = () => now;
+    cache.set('live', 1, 0);
+    cache.set('short', 2);
+    now += 200;
+    assert.strictEqual(cache.get('short'), undefined);
+    cache.set('other', 3, 10);
+    cache.get('live');
+    now += 100;
+    cache.set('x', 4);
+    assert.strictEqual(cache.has('other'), false);
+    assert.strictEqual(cache.bytes, 200);
+});
+
+test('lruCache: byte budget and resize', () => {
+    const sizes = { a: 400, b: 400 };
+    const cache = new LRUCache({ max: 10, maxBytes: 1000, sizeOf: (v, k) => sizes[k] ?? v.size });
+    const a = { size: 400 };
+    cache.set('a', a);
+    cache.set('b', { size: 400 });
+    assert.strictEqual(cache.bytes, 800);
+    sizes.a = 700;
+    cache.get('a');
+    assert.strictEqual(cache.resize('a', a), true);
+    assert.strictEqual(cache.has('b'), false);
+    assert.strictEqual(cache.bytes, 700);
+    assert.strictEqual(cache.set('huge', { size: 5000 }), false);
+});
+
+// --- streamRelay ---
+
+const { rewritePlaylist, isBlockedAddress, isBlockedHost } = require('./streamRelay');
+
+test('streamRelay: playlist URIs and URI attributes are rewritten against the final URL', () => {
+    const text = [
+        '#EXTM3U',
+        '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+        '#EXTINF:4,',
+        'seg1.ts',
+        '',
+        '#EXTINF:4,',
+        'http://cdn/abs.ts'
+    ].join('\n');
+    const out = rewritePlaylist(text, 'http://h/path/index.m3u8', abs => `R(${abs})`);
+    assert.strictEqual(out, [
+        '#EXTM3U',
+        '#EXT-X-KEY:METHOD=AES-128,URI="R(http://h/path/key.bin)"',
+        '#EXTINF:4,',
+        'R(http://h/path/seg1.ts)',
+        '',
+        '#EXTINF:4,',
+        'R(http://cdn/abs.ts)'
+    ].join('\n'));
+});
+
+test('streamRelay: private, mapped and reserved addresses are blocked', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '100.64.0.1', '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:192.168.1.1', '::ffff:7f00:1']) {
+        assert.strictEqual(isBlockedAddress(ip), true, ip);
+    }
+    for (const ip of ['8.8.8.8', '2606:4700::1111']) assert.strictEqual(isBlockedAddress(ip), false, ip);
+    assert.strictEqual(isBlockedHost(new URL('http://2130706433/').hostname), true);
+    assert.strictEqual(isBlockedHost('[::1]'), true);
+    assert.strictEqual(isBlockedHost('localhost'), true);
+    assert.strictEqual(isBlockedHost('example.com'), false);
+});
+
+// --- i18n ---
+
+const { resolveLanguage, t } = require('./i18n');
+
+test('i18n: language tags, region override and fallback chain', () => {
+    assert.deepStrictEqual(resolveLanguage('es'), { language: 'es-ES', lang: 'es', region: 'ES' });
+    assert.deepStrictEqual(resolveLanguage('fr-FR', 'be'), { language: 'fr-FR', lang: 'fr', region: 'BE' });
+    assert.strictEqual(resolveLanguage(undefined).language, 'fr-FR');
+    assert.strictEqual(t('es', 'catalogMovies', { name: 'X' }), 'X Películas');
+    assert.strictEqual(t('de', 'scheduleNow'), '▶️ Now');
+    assert.strictEqual(t('fr', 'unknownKey'), 'unknownKey');
+});
+
+// --- addon (mock Xtream panel) ---
+
+// Module level settings of addon.js, read once when it is first required
+// (two items per catalog page, so the mock panel spans several pages)
+Object.assign(process.env, { PARSER_WORKERS: '0', CACHE_ENABLED: 'false', TMDB_MATCH_ENABLED: 'false', CATALOG_PAGE_SIZE: '2' });
+delete process.env.REDIS_URL;
+delete process.env.SNAPSHOT_DIR;
+delete process.env.DEFAULT_LANGUAGE;
+const http = require('http');
+const createAddon = require('./addon');
+
+const PANEL = {
+    get_live_streams: [{ stream_id: 1, name: 'Channel One', category_id: '1', epg_channel_id: 'ch1' }],
+    get_vod_streams: [
+        { stream_id: 10, name: 'Alien', container_extension: 'mkv', added: '1000', rating: '8.5', releasedate: '1979-05-25' },
+        { stream_id: 11, name: 'Brazil', container_extension: 'mp4', added: '3000', rating: '7.9', releasedate: '1985-02-20' },
+        { stream_id: 12, name: 'Casablanca', container_extension: 'mp4', added: '2000', rating: '9.1', releasedate: '1942-11-26' }
+    ],
+    get_series: [{ series_id: 7, name: 'The Show', tmdb_id: '1399', imdb_id: 'tt0944947', last_modified: '500' }],
+    get_series_info: {
+        episodes: {
+            1: [
+                { id: '701', season: 1, episode_num: 1, title: 'Pilot', container_extension: 'mkv' },
+                { id: '702', season: 1, episode_num: 2, container_extension: 'mkv' }
+            ]
+        }
+    }
+};
+
+// player_api.php answering from PANEL after delayMs; `hits` counts the calls per action
+function startPanel({ delayMs = 0 } = {}) {
+    const hits = {};
+    const server = http.createServer((req, res) => {
+        const action = new URL(req.url, 'http://panel').searchParams.get('action');
+        hits[action] = (hits[action] || 0) + 1;
+        res.setHeader('Content-Type', 'application/json');
+        setTimeout(() => res.end(JSON.stringify(PANEL[action] || [])), delayMs);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        hits,
+        close: () => server.close()
+    })));
+}
+
+// The handlers log every request: keep the test output readable
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+async function withPanelAddon(config, fn) {
+    const panel = await startPanel();
+    try {
+        await quietly(async () => {
+            const iface = await createAddon({ provider: 'xtream', xtreamUrl: panel.url, xtreamUsername: 'u', xtreamPassword: 'p', ...config });
+            try {
+                await fn(iface, panel);
+            } finally {
+                iface.dispose();
+            }
+        });
+    } finally {
+        panel.close();
+    }
+}
+
+test('addon: tmdb:/tt… episode ids resolve to the provider episode', () => withPanelAddon({}, async (iface, panel) => {
+    for (const id of ['tmdb:1399:1:2', 'tt0944947:1:2']) {
+        const { streams } = await iface.get('stream', 'series', id);
+        assert.strictEqual(streams.length, 1, id);
+        assert.strictEqual(streams[0].url, `${panel.url}/series/u/p/702.mkv`);
+    }
+    assert.deepStrictEqual((await iface.get('stream', 'series', 'tmdb:1399:3:1')).streams, []);
+}));
+
+test('addon: self-describing episode ids round trip without series info', async () => {
+    let ids;
+    await withPanelAddon({}, async (iface) => {
+        ids = (await iface.get('meta', 'series', 'iptv_series_7')).meta.videos.map(v => v.id);
+    });
+    assert.deepStrictEqual(ids, ['iptv_series_ep_7_1_1_701.mkv', 'iptv_series_ep_7_1_2_702.mkv']);
+    // Fresh instance (restart, other replica): the id alone rebuilds the URL
+    await withPanelAddon({}, async (iface, panel) => {
+        const { streams } = await iface.get('stream', 'series', ids[1]);
+        assert.strictEqual(streams[0].url, `${panel.url}/series/u/p/702.mkv`);
+        assert.strictEqual(panel.hits.get_series_info, undefined);
+    });
+});
+
+test('addon: legacy Xtream episode ids only resolve from fetched episodes', () => withPanelAddon({}, async (iface, panel) => {
+    assert.deepStrictEqual((await iface.get('stream', 'series', 'iptv_series_ep_702')).streams, []);
+    await iface.get('meta', 'series', 'iptv_series_7');
+    const { streams } = await iface.get('stream', 'series', 'iptv_series_ep_702');
+    assert.strictEqual(streams[0].url, `${panel.url}/series/u/p/702.mkv`);
+}));
+
+test('addon: strings follow the metadata language, old tokens keep English catalog names', async () => {
+    const names = (iface) => iface.manifest.catalogs.map(c => c.name);
+    await withPanelAddon({}, async (iface) => {
+        assert.deepStrictEqual(names(iface), ['IPTV Live', 'IPTV Movies', 'IPTV Series']);
+        const { meta } = await iface.get('meta', 'tv', 'iptv_live_1');
+        assert.strictEqual(meta.description, '📺 Chaîne TV en direct');
+    });
+    await withPanelAddon({ language: 'es-ES' }, async (iface) => {
+        assert.deepStrictEqual(names(iface), ['IPTV En directo', 'IPTV Películas', 'IPTV Series']);
+        const { meta } = await iface.get('meta', 'tv', 'iptv_live_1');
+        assert.strictEqual(meta.description, '📺 Canal de TV en directo');
+    });
+});
+
+// Ids of a catalog, page after page (skip) until a short page
+async function catalogIds(iface, type, id, extra = {}) {
+    const ids = [];
+    for (;;) {
+        const { metas } = await iface.get('catalog', type, id, { ...extra, skip: ids.length });
+        ids.push(...metas.map(m => m.id));
+        if (metas.length < 2) return ids;
+    }
+}
+
+test('addon: catalogs are paginated with skip', () => withPanelAddon({}, async (iface) => {
+    const first = await iface.get('catalog', 'movie', 'IPTV_movies', {});
+    assert.strictEqual(first.metas.length, 2);
+    const second = await iface.get('catalog', 'movie', 'IPTV_movies', { skip: '2' });
+    assert.deepStrictEqual(second.metas.map(m => m.id), ['iptv_vod_12']);
+    assert.deepStrictEqual((await iface.get('catalog', 'movie', 'IPTV_movies', { skip: '4' })).metas, []);
+    assert.deepStrictEqual(await catalogIds(iface, 'movie', 'IPTV_movies'), [...first.metas.map(m => m.id), 'iptv_vod_12']);
+}));
+
+test('addon: sort rails and the default catalog order', () => withPanelAddon({ sort_rails: ['recent', 'rating', 'az', 'year'], catalogSort: 'az' }, async (iface) => {
+    const expected = {
+        recent: ['iptv_vod_11', 'iptv_vod_12', 'iptv_vod_10'],
+        rating: ['iptv_vod_12', 'iptv_vod_10', 'iptv_vod_11'],
+        az: ['iptv_vod_10', 'iptv_vod_11', 'iptv_vod_12'],
+        year: ['iptv_vod_11', 'iptv_vod_10', 'iptv_vod_12']
+    };
+    for (const [order, ids] of Object.entries(expected)) {
+        assert.deepStrictEqual(await catalogIds(iface, 'movie', `IPTV_sort_movie_${order}`), ids, order);
+    }
+    assert.deepStrictEqual(await catalogIds(iface, 'movie', 'IPTV_movies'), expected.az);
+}));
+
+// --- refreshScheduler ---
+
+const RefreshScheduler = require('./refreshScheduler');
+
+function fakeInstance(updateData, fields = {}) {
+    return { refreshIntervalMs: 3600 * 1000, lastUpdate: 0, log() {}, updateData, ...fields };
+}
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+test('refreshScheduler: due instances refresh within the concurrency limit, failures back off', async () => {
+    const scheduler = new RefreshScheduler({ tickMs: 60 * 1000, concurrency: 1 });
+    const calls = [];
+    let release;
+    const a = fakeInstance(() => { calls.push('a'); return new Promise(resolve => { release = resolve; }); });
+    const b = fakeInstance(async () => { calls.push('b'); throw new Error('panel down'); });
+    scheduler.register(a);
+    scheduler.register(b);
+    await nextTurn();
+    assert.deepStrictEqual(calls, ['a']);
+    assert.strictEqual(scheduler.stats().running, 1);
+    release(true);
+    await nextTurn();
+    await quietly(async () => {
+        scheduler.tick();
+        await nextTurn();
+    });
+    assert.deepStrictEqual(calls, ['a', 'b']);
+    const stats = scheduler.stats();
+    assert.strictEqual(stats.failing, 1);
+    assert.ok(stats.nextRunInMs > 4 * 60 * 1000 && stats.nextRunInMs <= 5 * 60 * 1000);
+    assert.ok(scheduler.entries.get(a).nextRun >= Date.now() + 3500 * 1000);
+    scheduler.unregister(a);
+    scheduler.unregister(b);
+    assert.strictEqual(scheduler.timer, null);
+});
+
+test('refreshScheduler: idle instances are dropped, disposed ones are not registered again', () => {
+    const scheduler = new RefreshScheduler({ tickMs: 60 * 1000, idleMs: 1000 });
+    const instance = fakeInstance(async () => true, { lastUpdate: Date.now() });
+    scheduler.register(instance).lastAccess = Date.now() - 2000;
+    scheduler.tick();
+    assert.strictEqual(scheduler.entries.size, 0);
+    scheduler.touch(instance);
+    assert.strictEqual(scheduler.entries.size, 1);
+    instance.disposed = true;
+    scheduler.unregister(instance);
+    scheduler.touch(instance);
+    assert.strictEqual(scheduler.entries.size, 0);
+});
+
+// --- server ---
+
+test('server: concurrent first requests for a token share one build', () => withEnv({
+    ...NO_SECRETS, TOKEN_SIGNING_SECRET: 'signing-secret-0123456789', CONFIG_STORE_DIR: undefined, CONFIG_STORE_REDIS: undefined
+}, async () => {
+    const fetch = require('node-fetch');
+    const app = require('./server');
+    const panel = await startPanel({ delayMs: 100 });
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    try {
+        const token = cryptoConfig.signConfig({ provider: 'xtream', xtreamUrl: panel.url, xtreamUsername: 'u', xtreamPassword: 'p' });
+        const get = (path) => fetch(`http://127.0.0.1:${server.address().port}/${token}${path}`).then(r => r.json());
+        const [manifest, catalog] = await quietly(() => Promise.all([get('/manifest.json'), get('/catalog/movie/IPTV_movies.json')]));
+        assert.deepStrictEqual(manifest.catalogs.map(c => c.id), ['IPTV_channels', 'IPTV_movies', 'IPTV_series']);
+        assert.strictEqual(catalog.metas.length, 2);
+        assert.strictEqual(panel.hits.get_live_streams, 1);
+        // Uncached interface (CACHE_ENABLED=false): released once both responses are closed
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(createAddon.stats().refresh.instances, 0);
+    } finally {
+        server.close();
+        panel.close();
+    }
+}));
+
+// --- dataStore (Redis snapshots) ---
+
+const dataStore = require('./dataStore');
+
+// In-memory stand-in for the few ioredis commands dataStore uses; `ttl` keeps the last PX / pexpire per key
+class FakeRedis {
+    constructor() {
+        this.data = new Map();
+        this.ttl = new Map();
+    }
+
+    async get(key) {
+        return this.data.has(key) ? String(this.data.get(key)) : null;
+    }
+
+    async set(key, value, mode, ms) {
+        this.data.set(key, value);
+        if (mode === 'PX') this.ttl.set(key, ms);
+        return 'OK';
+    }
+
+    async hset(key, ...fields) {
+        const hash = this.data.get(key) || {};
+        for (let i = 0; i < fields.length; i += 2) hash[fields[i]] = fields[i + 1];
+        this.data.set(key, hash);
+    }
+
+    async pexpire(key, ms) {
+        this.ttl.set(key, ms);
+    }
+
+    async mgetBuffer(...keys) {
+        return keys.map(k => (this.data.has(k) ? this.data.get(k) : null));
+    }
+
+    async hgetallBuffer(key) {
+        return { ...(this.data.get(key) || {}) };
+    }
+
+    pipeline() {
+        const ops = [];
+        const queue = (name) => (...args) => { ops.push(() => this[name](...args)); return pipe; };
+        const pipe = {
+            set: queue('set'),
+            hset: queue('hset'),
+            pexpire: queue('pexpire'),
+            exec: async () => { for (const op of ops) await op(); return []; }
+        };
+        return pipe;
+    }
+}
+
+function snapshotData(lastUpdate) {
+    return {
+        channels: [{ id: 'iptv_live_1', name: 'Channel One' }],
+        movies: Array.from({ length: 4500 }, (_, i) => ({ id: `iptv_vod_${i}`, name: `Movie ${i}` })),
+        series: [{ id: 'iptv_series_7', name: 'The Show' }],
+        epgData: { ch1: [{ start: '20261019100000 +0000', stop: '20261019110000 +0000', title: 'News' }] },
+        directSeriesEpisodeIndex: [['show', [{ season: 1, episode: 2 }]]],
+        lastUpdate
+    };
+}
+
+test('dataStore: snapshots are chunked, compressed and read back whole', async () => {
+    const redis = new FakeRedis();
+    const data = snapshotData(1000);
+    const meta = await dataStore.saveSnapshot(redis, 'data:t', data, 60000);
+    assert.strictEqual(meta.chunks.movies, 3);
+    assert.strictEqual(meta.counts.epgChannels, 1);
+    assert.ok(Buffer.isBuffer(redis.data.get(`data:t:v${meta.version}:movies:0`)));
+    const loaded = await dataStore.loadSnapshot(redis, 'data:t');
+    assert.strictEqual(loaded.version, meta.version);
+    for (const field of ['channels', 'movies', 'series', 'epgData', 'directSeriesEpisodeIndex', 'lastUpdate']) {
+        assert.deepStrictEqual(loaded[field], data[field], field);
+    }
+});
+
+test('dataStore: a new version replaces the old one, partial versions are ignored', async () => {
+    const redis = new FakeRedis();
+    const ttl = 3600 * 1000;
+    const first = await dataStore.saveSnapshot(redis, 'data:t', snapshotData(1000), ttl);
+    const second = await dataStore.saveSnapshot(redis, 'data:t', snapshotData(1000), ttl);
+    assert.ok(second.version > first.version);
+    // Old chunks kept for a short grace period only
+    assert.ok(redis.ttl.get(`data:t:v${first.version}:movies:0`) < ttl);
+    assert.strictEqual(redis.ttl.get(`data:t:v${second.version}:movies:0`), ttl);
+    assert.strictEqual((await dataStore.loadMeta(redis, 'data:t')).version, second.version);
+    redis.data.delete(`data:t:v${second.version}:movies:1`);
+    assert.strictEqual(await dataStore.loadSnapshot(redis, 'data:t'), null);
+});
+
+// --- configStore ---
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigStore = require('./configStore');
+
+async function withStoreDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cfgstore-'));
+    try {
+        return await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('configStore: create, update and delete with the edit secret', () => withEnv(NO_SECRETS, () => withStoreDir(async (dir) => {
+    const store = new ConfigStore({ dir, cacheTtlMs: 0 });
+    const { id, editSecret, rev } = await store.create({ m3uUrl: 'http://a' });
+    assert.ok(store.isId(id));
+    assert.strictEqual(rev, 1);
+    assert.deepStrictEqual(await store.get(id), { config: { m3uUrl: 'http://a' }, rev: 1 });
+    await assert.rejects(store.update(id, 'wrong', { m3uUrl: 'http://evil' }), e => e.status === 403);
+    await assert.rejects(store.update(id, undefined, {}), e => e.status === 403);
+    assert.deepStrictEqual(await store.update(id, editSecret, { m3uUrl: 'http://b' }), { id, rev: 2 });
+    assert.deepStrictEqual(await store.get(id), { config: { m3uUrl: 'http://b' }, rev: 2 });
+    await assert.rejects(store.delete(id, 'wrong'), e => e.status === 403);
+    await store.delete(id, editSecret);
+    assert.strictEqual(await store.get(id), null);
+    await assert.rejects(store.update(id, editSecret, {}), e => e.status === 404);
+})));
+
+test('configStore: configs are encrypted at rest and swept once unused', () => withEnv({ ...NO_SECRETS, CONFIG_SECRET: 'store-secret-0123456789' }, () => withStoreDir(async (dir) => {
+    const store = new ConfigStore({ dir, ttlMs: 24 * 3600 * 1000 });
+    const { id } = await store.create({ xtreamPassword: 'hunter2' });
+    const file = path.join(dir, `${id}.json`);
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('hunter2'));
+    assert.deepStrictEqual((await store.get(id)).config, { xtreamPassword: 'hunter2' });
+    const old = new Date(Date.now() - 2 * 24 * 3600 * 1000);
+    fs.utimesSync(file, old, old);
+    store.lastSweep = 0;
+    assert.strictEqual(await quietly(() => store.sweep()), 1);
+    assert.ok(!fs.existsSync(file));
+})));
+
+// --- runner ---
+
+(async () => {
+    let failed = 0;
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (e) {
+            failed++;
+            console.error(`✘ ${name}\n  ${e.stack || e.message}`);
+        }
+    }
+    console.log(`\n${tests.length - failed}/${tests.length} passed`);
+    process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,237 @@
+// tmdbMatcher.js
+// Title-based TMDB matching for items that arrive without tmdb_id / imdb_id (direct M3U, some panels).
+// Pipeline: clean provider name -> search TMDB by title (+ year) -> score candidates -> keep best above threshold.
+// Results (including misses) are memoised per (type, title, year) so refreshes and other tokens reuse them.
+const fetch = require('node-fetch');
+const LRUCache = require('./lruCache');
+
+const MATCH_THRESHOLD = 0.72;
+const MATCH_TTL_MS = 7 * 24 * 3600 * 1000;
+const MISS_TTL_MS = 24 * 3600 * 1000;
+const matchCache = new LRUCache({ max: parseInt(process.env.TMDB_MATCH_CACHE_ENTRIES || '100000', 10), ttl: MATCH_TTL_MS });
+
+const QUALITY_TAGS = /\b(4k|uhd|fhd|hd|sd|hdr10?|hdr|dv|dolby ?vision|hevc|h ?26[45]|x26[45]|10 ?bit|2160p|1080p|720p|480p|blu-?ray|bdrip|brrip|web-?dl|web-?rip|webrip|hdtv|dvdrip|remux|multi|multisub|vostfr|vost|vf|vff|vfq|vo|truefrench|french|subbed|dubbed|3d|imax|extended|director'?s cut|uncut|remastered)\b/gi;
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace.
+ */
+function normalize(str) {
+    return (str || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Strip provider decorations from a name: "|FR| Amélie (2001) [4K] MULTI" -> { title: "Amélie", year: 2001 }
+ */
+function cleanTitle(raw) {
+    let name = (raw || '').trim();
+    let year = null;
+
+    // Prefixes: |FR|, [FR], ┃FR┃, FR:, FR - , VOD FR |
+    name = name
+        .replace(/^\s*[|┃[(]\s*[A-Z0-9]{2,4}(?:[-\s][A-Z0-9]{2,4})?\s*[|┃\])]\s*/i, '')
+        .replace(/^\s*[A-Z][A-Z0-9 ]{1,10}\s*[|┃]\s+/, '')
+        .replace(/^\s*[A-Z]{2,3}\s*[:|┃-]\s+/, '');
+
+    const ym = name.match(/[([]\s*((?:19|20)\d{2})\s*[)\]]/);
+    if (ym) {
+        year = parseInt(ym[1], 10);
+        name = name.replace(ym[0], ' ');
+    }
+
+    name = name
+        .replace(/\bS\d{1,2}\s?E\d{1,3}\b.*$/i, '')
+        .replace(/\bSeason\s?\d+.*$/i, '')
+        .replace(/\[[^\]]*\]/g, ' ')
+        .replace(/\((?!\d{4}\))[^)]*\)/g, ' ')
+        .replace(QUALITY_TAGS, ' ')
+        .replace(/[._]+/g, ' ')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+
+    // Bare trailing year once quality tags are gone: "The Matrix 1999"
+    if (!year) {
+        const tail = name.match(/^(.+?)[\s-]+((?:19|20)\d{2})$/);
+        // Titles that end with a number ("Blade Runner 2049") keep it when it cannot be a release year
+        if (tail && parseInt(tail[2], 10) <= new Date().getFullYear() + 1) {
+            year = parseInt(tail[2], 10);
+            name = tail[1];
+        }
+    }
+    name = name.replace(/\s*[-|┃:]\s*$/, '').trim();
+
+    return { title: name, year };
+}
+
+function bigrams(s) {
+    const out = new Map();
+    const str = ` ${s} `;
+    for (let i = 0; i < str.length - 1; i++) {
+        const bg = str.slice(i, i + 2);
+        out.set(bg, (out.get(bg) || 0) + 1);
+    }
+    return out;
+}
+
+/**
+ * Dice coefficient on character bigrams of normalized strings (0..1).
+ */
+function similarity(a, b) {
+    const na = normalize(a);
+    const nb = normalize(b);
+    if (!na || !nb) return 0;
+    if (na === nb) return 1;
+    const ba = bigrams(na);
+    const bb = bigrams(nb);
+    let inter = 0;
+    let total = 0;
+    for (const [k, v] of ba) {
+        total += v;
+        if (bb.has(k)) inter += Math.min(v, bb.get(k));
+    }
+    for (const v of bb.values()) total += v;
+    return (2 * inter) / total;
+}
+
+/**
+ * Score a TMDB search result against the cleaned title / year.
+ * 70% title similarity (best of localized / original title), 20% year proximity, 10% TMDB rank.
+ */
+function scoreCandidate(candidate, title, year, rank) {
+    const names = [candidate.title, candidate.name, candidate.original_title, candidate.original_name].filter(Boolean);
+    const titleScore = Math.max(0, ...names.map(n => similarity(title, n)));
+    const date = candidate.release_date || candidate.first_air_date || '';
+    const cYear = parseInt(date.slice(0, 4), 10);
+    let yearScore = 0.5;
+    if (year && cYear) {
+        const diff = Math.abs(year - cYear);
+        yearScore = diff === 0 ? 1 : diff === 1 ? 0.7 : 0;
+    }
+    const rankScore = Math.max(0, 1 - rank * 0.2);
+    return titleScore * 0.7 + yearScore * 0.2 + rankScore * 0.1;
+}
+
+async function searchTmdb(tmdbType, title, year, tmdbKey, opts = {}) {
+    const params = new URLSearchParams({ api_key: tmdbKey, query: title, include_adult: 'false' });
+    if (opts.language) params.set('language', opts.language);
+    if (opts.region && tmdbType === 'movie') params.set('region', opts.region);
+    if (year) params.set(tmdbType === 'tv' ? 'first_air_date_year' : 'year', String(year));
+    const res = await fetch(`https://api.themoviedb.org/3/search/${tmdbType}?${params}`, { timeout: 10000 });
+    if (res.status === 429) {
+        const err = new Error('TMDB rate limited');
+        err.retryAfter = parseInt(res.headers.get('retry-after') || '2', 10) * 1000;
+        throw err;
+    }
+    if (!res.ok) throw new Error(`TMDB search failed (${res.status})`);
+    const data = await res.json();
+    return Array.isArray(data.results) ? data.results : [];
+}
+
+/**
+ * Find the TMDB match for a movie / series item.
+ * Returns { id, originalTitle } (id as string) or null.
+ * @param {object} item     provider item ({ name, type, year })
+ * @param {string} tmdbKey
+ * @param {object} [opts]
+ * @param {string} [opts.language]  TMDB language for the search (affects localized titles)
+ * @param {string} [opts.region]    TMDB region (movie searches only)
+ */
+async function findTmdbId(item, tmdbKey, opts = {}) {
+    if (!item || !tmdbKey || (item.type !== 'movie' && item.type !== 'series')) return null;
+    const { title, year: nameYear } = cleanTitle(item.name);
+    const year = item.year || nameYear;
+    if (!title) return null;
+
+    const tmdbType = item.type === 'series' ? 'tv' : 'movie';
+    const memoKey = `${tmdbType}|${normalize(title)}|${year || ''}`;
+    const memo = matchCache.get(memoKey);
+    if (memo !== undefined) return memo.id ? memo : null;
+
+    let results = await searchTmdb(tmdbType, title, year, tmdbKey, opts);
+    // Provider years are often wrong: retry without the year constraint
+    if (!results.length && year) results = await searchTmdb(tmdbType, title, null, tmdbKey, opts);
+
+    let best = null;
+    results.slice(0, 10).forEach((r, rank) => {
+        const score = scoreCandidate(r, title, year, rank);
+        if (!best || score > best.score) best = { id: String(r.id), originalTitle: r.original_title || r.original_name || null, score };
+    });
+
+    const match = best && best.score >= MATCH_THRESHOLD ? { id: best.id, originalTitle: best.originalTitle } : { id: null };
+    matchCache.set(memoKey, match, match.id ? MATCH_TTL_MS : MISS_TTL_MS);
+    return match.id ? match : null;
+}
+
+/**
+ * Store a match on the item (original title is kept for search).
+ */
+function applyMatch(item, match) {
+    item.tmdb_id = match.id;
+    if (match.originalTitle && !item.original_title) item.original_title = match.originalTitle;
+}
+
+/**
+ * Apply already known matches synchronously (no network). Returns the items still unmatched.
+ */
+function applyCachedMatches(items) {
+    const pending = [];
+    for (const item of items) {
+        if (item.tmdb_id || item.imdb_id) continue;
+        const { title, year: nameYear } = cleanTitle(item.name);
+        const memo = matchCache.get(`${item.type === 'series' ? 'tv' : 'movie'}|${normalize(title)}|${item.year || nameYear || ''}`);
+        if (memo === undefined) pending.push(item);
+        else if (memo.id) applyMatch(item, memo);
+    }
+    return pending;
+}
+
+/**
+ * Match a whole library in the background with bounded concurrency.
+ * Mutates items (sets tmdb_id / original_title) and resolves with the number of new matches.
+ * @param {object[]} items
+ * @param {string} tmdbKey
+ * @param {object} [opts]
+ * @param {number} [opts.concurrency=4]
+ * @param {string} [opts.language]
+ * @param {string} [opts.region]
+ * @param {function} [opts.isCancelled]  stop early when it returns true (e.g. data was refreshed)
+ */
+async function matchLibrary(items, tmdbKey, opts = {}) {
+    const pending = applyCachedMatches(items);
+    const concurrency = opts.concurrency || 4;
+    let index = 0;
+    let matched = 0;
+
+    async function worker() {
+        while (index < pending.length) {
+            if (opts.isCancelled && opts.isCancelled()) return;
+            const item = pending[index++];
+            try {
+                const match = await findTmdbId(item, tmdbKey, opts);
+                if (match) { applyMatch(item, match); matched++; }
+            } catch (e) {
+                if (e.retryAfter) {
+                    // Rate limited: requeue and back off
+                    pending.push(item);
+                    await new Promise(r => setTimeout(r, e.retryAfter));
+                }
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    return matched;
+}
+
+module.exports = {
+    cleanTitle,
+    normalize,
+    findTmdbId,
+    applyMatch,
+    applyCachedMatches,
+    matchLibrary
+};